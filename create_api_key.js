@@ -0,0 +1,78 @@
+/**
+ * Skript: API-Key anlegen
+ * Gibt den Klartext-Key einmalig aus, gespeichert wird nur der SHA-256-Hash.
+ *
+ * Verwendung:
+ *   node create_api_key.js --name ci-import --user ci-bot [--role viewer|contributor|editor|admin]
+ *     [--workspace it-support] [--expires-days 90]
+ *
+ * Ohne --workspace arbeitet der Key im Default-Workspace (Admins: frei wählbar per X-Workspace-Id).
+ */
+
+import { parseArgs } from 'util';
+import { getRepository } from './repositories/index.js';
+import { generateApiKey } from './utils/apiKeys.js';
+import { isValidRole, ROLES } from './utils/roles.js';
+import { isValidWorkspaceId } from './utils/workspaces.js';
+
+const { values: args } = parseArgs({
+  options: {
+    name: { type: 'string' },
+    user: { type: 'string' },
+    role: { type: 'string', default: 'contributor' },
+    workspace: { type: 'string' },
+    'expires-days': { type: 'string' }
+  }
+});
+
+async function createApiKey() {
+  if (!args.name || !args.user) {
+    throw new Error('--name und --user sind erforderlich');
+  }
+
+  if (!isValidRole(args.role)) {
+    throw new Error(`--role muss eine der folgenden Rollen sein: ${ROLES.join(', ')}`);
+  }
+
+  if (args.workspace && !isValidWorkspaceId(args.workspace)) {
+    throw new Error('--workspace muss eine gültige Workspace-ID sein (a-z, 0-9, - und _)');
+  }
+
+  const expiresDays = args['expires-days'] ? parseInt(args['expires-days']) : null;
+  if (expiresDays !== null && (isNaN(expiresDays) || expiresDays <= 0)) {
+    throw new Error('--expires-days muss eine positive Zahl sein');
+  }
+
+  const repository = getRepository();
+  const { key, keyHash, keyPrefix } = generateApiKey();
+
+  const record = await repository.apiKeys.create({
+    name: args.name,
+    key_hash: keyHash,
+    key_prefix: keyPrefix,
+    user_id: args.user,
+    role: args.role,
+    workspace_id: args.workspace || null,
+    expires_at: expiresDays
+      ? new Date(Date.now() + expiresDays * 24 * 60 * 60 * 1000).toISOString()
+      : null
+  });
+
+  console.log('\n🔑 API-Key erstellt\n');
+  console.log(`   ID:        ${record.id}`);
+  console.log(`   Name:      ${record.name}`);
+  console.log(`   User:      ${record.user_id}`);
+  console.log(`   Rolle:     ${record.role}`);
+  console.log(`   Workspace: ${record.workspace_id || '(nicht gebunden)'}`);
+  console.log(`   Ablauf:    ${record.expires_at || 'nie'}`);
+  console.log(`\n   Key:       ${key}\n`);
+  console.log('⚠️  Der Key wird nur jetzt angezeigt - sicher aufbewahren!');
+  console.log('   Verwendung: X-API-Key: <key> oder Authorization: Bearer <key>\n');
+}
+
+createApiKey()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ API-Key konnte nicht erstellt werden:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,271 @@
+/**
+ * Embedding-Warteschlange für Probleme
+ * Persistente Jobs (Tabelle embedding_jobs) mit begrenzter Parallelität,
+ * Wiederholung mit exponentiellem Backoff und problems.embedding_status.
+ * Nach einem Neustart werden abgebrochene Jobs wieder eingereiht; endgültig
+ * fehlgeschlagene bleiben 'failed', bis sie per retryEmbeddingJob erneut starten.
+ */
+
+import { getRepository } from './repositories/index.js';
+import { ApiError } from './middleware/errorHandler.js';
+import { generateProblemEmbeddings } from './embeddingService.js';
+import { workspaceOf } from './utils/workspaces.js';
+import { EMBEDDING_MODEL } from './utils/embeddingModels.js';
+
+// Parallel laufende Jobs (das Modell läuft im selben Prozess)
+const EMBEDDING_JOB_CONCURRENCY = parseInt(process.env.EMBEDDING_JOB_CONCURRENCY) || 2;
+
+// Versuche pro Job, danach 'failed' (Backoff: 2s, 4s, 8s, ... max. 10 Minuten)
+export const EMBEDDING_JOB_MAX_ATTEMPTS = parseInt(process.env.EMBEDDING_JOB_MAX_ATTEMPTS) || 5;
+const EMBEDDING_JOB_BACKOFF_MS = parseInt(process.env.EMBEDDING_JOB_BACKOFF_MS) || 2000;
+const EMBEDDING_JOB_MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+// Abfrageintervall für fällige Jobs (Wiederholungen, Jobs anderer Prozesse)
+const EMBEDDING_JOB_POLL_MS = parseInt(process.env.EMBEDDING_JOB_POLL_MS) || 5000;
+
+let pollTimer = null;
+let activeJobs = 0;
+let claiming = false;
+
+/**
+ * ➕ Embedding-Job für ein Problem einreihen
+ * Ein noch wartender Job des Problems wird wiederverwendet (er liest
+ * Titel und Beschreibung erst bei der Ausführung).
+ * @param {Object} problem - Problem (id, workspace_id)
+ * @returns {Object} Job (status 'pending')
+ */
+export async function enqueueEmbeddingJob(problem) {
+  try {
+    const repository = getRepository();
+
+    const job = await repository.embeddingJobs.findPendingByProblemId(problem.id) ||
+      await repository.embeddingJobs.create({
+        problem_id: problem.id,
+        workspace_id: workspaceOf(problem),
+        max_attempts: EMBEDDING_JOB_MAX_ATTEMPTS
+      });
+
+    if (problem.embedding_status !== 'pending') {
+      await repository.problems.update(problem.id, { embedding_status: 'pending' });
+    }
+
+    console.log(`📥 Embedding-Job ${job.id} für Problem ${problem.id} eingereiht`);
+    wakeWorker();
+    return job;
+
+  } catch (error) {
+    console.error('✗ Fehler bei enqueueEmbeddingJob:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🔎 Embedding-Job abrufen
+ * @param {string} jobId - Job-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (nur eigene Jobs)
+ * @returns {Object} Job (status, attempts, max_attempts, last_error, run_at, ...)
+ */
+export async function getEmbeddingJob(jobId, { workspace = null } = {}) {
+  try {
+    if (!jobId) {
+      throw new Error('Job-ID ist erforderlich');
+    }
+
+    const job = await getRepository().embeddingJobs.findById(jobId);
+
+    if (!job || (workspace && job.workspace_id !== workspace)) {
+      throw new Error(`Embedding-Job ${jobId} nicht gefunden`);
+    }
+
+    return job;
+
+  } catch (error) {
+    console.error('✗ Fehler bei getEmbeddingJob:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🔁 Fehlgeschlagenen Embedding-Job erneut einreihen (mit neuen Versuchen)
+ * @param {string} jobId - Job-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (nur eigene Jobs)
+ * @returns {Object} Job (status 'pending')
+ * @throws {ApiError} 409, wenn der Job nicht fehlgeschlagen ist
+ */
+export async function retryEmbeddingJob(jobId, { workspace = null } = {}) {
+  try {
+    const repository = getRepository();
+    const job = await getEmbeddingJob(jobId, { workspace });
+
+    const retried = await repository.embeddingJobs.retry(job.id);
+    if (!retried) {
+      throw new ApiError(409, `Embedding-Job ${jobId} ist nicht fehlgeschlagen (status: ${job.status})`, {
+        status: job.status
+      });
+    }
+
+    await repository.problems.update(job.problem_id, { embedding_status: 'pending' });
+
+    console.log(`🔁 Embedding-Job ${job.id} erneut eingereiht (Problem ${job.problem_id})`);
+    wakeWorker();
+    return retried;
+
+  } catch (error) {
+    console.error('✗ Fehler bei retryEmbeddingJob:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * ▶️ Worker starten
+ * Reiht abgebrochene ('running') Jobs wieder ein und arbeitet danach
+ * fällige Jobs ab. Fehlgeschlagene Jobs bleiben 'failed'.
+ * @returns {Promise<number>} Anzahl wieder eingereihter Jobs
+ */
+export async function startEmbeddingWorker() {
+  if (pollTimer) {
+    return 0;
+  }
+
+  pollTimer = setInterval(claimJobs, EMBEDDING_JOB_POLL_MS);
+  pollTimer.unref();
+
+  const recovered = await getRepository().embeddingJobs.recover();
+  if (recovered > 0) {
+    console.log(`🔁 ${recovered} Embedding-Jobs wieder eingereiht`);
+  }
+
+  wakeWorker();
+  return recovered;
+}
+
+/**
+ * ⏹️ Worker stoppen (laufende Jobs werden nach einem Neustart wiederholt)
+ */
+export function stopEmbeddingWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Fällige Jobs sofort übernehmen (nur bei laufendem Worker)
+ * @private
+ */
+function wakeWorker() {
+  if (pollTimer) {
+    setImmediate(claimJobs);
+  }
+}
+
+/**
+ * Jobs übernehmen, bis EMBEDDING_JOB_CONCURRENCY erreicht oder nichts mehr fällig ist
+ * @private
+ */
+async function claimJobs() {
+  if (claiming || !pollTimer) {
+    return;
+  }
+
+  claiming = true;
+  try {
+    while (pollTimer && activeJobs < EMBEDDING_JOB_CONCURRENCY) {
+      const job = await getRepository().embeddingJobs.claimNext();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        wakeWorker();
+      });
+    }
+  } catch (error) {
+    console.error('✗ Fehler bei claimJobs:', error.message);
+  } finally {
+    claiming = false;
+  }
+}
+
+/**
+ * Embedding für das Problem des Jobs generieren und speichern
+ * (embeddings.upsert setzt embedding_status auf 'ready')
+ * @private
+ */
+async function runJob(job) {
+  const repository = getRepository();
+
+  try {
+    const problem = await repository.problems.findById(job.problem_id);
+
+    if (!problem) {
+      throw new Error(`Problem ${job.problem_id} nicht gefunden`);
+    }
+
+    const chunks = await generateProblemEmbeddings(problem);
+
+    await repository.embeddings.upsert({
+      problem_id: problem.id,
+      model_name: EMBEDDING_MODEL,
+      workspace_id: workspaceOf(problem),
+      chunks
+    });
+
+    await repository.embeddingJobs.update(job.id, {
+      status: 'completed',
+      last_error: null,
+      completed_at: new Date().toISOString()
+    });
+
+    console.log(`✓ Embedding-Job ${job.id} abgeschlossen (Problem ${problem.id}, Versuch ${job.attempts})`);
+
+  } catch (error) {
+    await failJob(job, error);
+  }
+}
+
+/**
+ * Fehlgeschlagenen Versuch verbuchen: erneut einplanen (Backoff) oder 'failed'
+ * @private
+ */
+async function failJob(job, error) {
+  const repository = getRepository();
+  const exhausted = job.attempts >= job.max_attempts;
+
+  try {
+    if (exhausted) {
+      await repository.embeddingJobs.update(job.id, {
+        status: 'failed',
+        last_error: error.message,
+        completed_at: new Date().toISOString()
+      });
+      await repository.problems.update(job.problem_id, { embedding_status: 'failed' });
+
+      console.error(`✗ Embedding-Job ${job.id} endgültig fehlgeschlagen nach ${job.attempts} Versuchen:`, error.message);
+      return;
+    }
+
+    const delay = Math.min(EMBEDDING_JOB_BACKOFF_MS * 2 ** (job.attempts - 1), EMBEDDING_JOB_MAX_BACKOFF_MS);
+
+    await repository.embeddingJobs.update(job.id, {
+      status: 'pending',
+      last_error: error.message,
+      run_at: new Date(Date.now() + delay).toISOString()
+    });
+
+    console.warn(`⚠️ Embedding-Job ${job.id} fehlgeschlagen (Versuch ${job.attempts}/${job.max_attempts}), neuer Versuch in ${delay}ms:`, error.message);
+
+  } catch (updateError) {
+    // Job bleibt 'running' und wird beim nächsten Start wieder eingereiht
+    console.error(`✗ Status von Embedding-Job ${job.id} konnte nicht gespeichert werden:`, updateError.message);
+  }
+}
+
+export default {
+  EMBEDDING_JOB_MAX_ATTEMPTS,
+  enqueueEmbeddingJob,
+  getEmbeddingJob,
+  retryEmbeddingJob,
+  startEmbeddingWorker,
+  stopEmbeddingWorker
+};
@@ -1,15 +1,54 @@
 /**
  * Embedding Service für semantische Suche
- * Verwendet all-MiniLM-L6-v2 (Sentence Transformers)
+ * Modell aus der Registry (utils/embeddingModels.js), gewählt über EMBEDDING_MODEL
  * State-of-the-Art semantisches Verständnis mit Transformers.js
  */
 
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
 import { pipeline } from '@xenova/transformers';
+import { recordEmbeddingCacheLookup, recordEmbeddingCacheSize } from './utils/metrics.js';
+import { EMBEDDING_MODELS, getEmbeddingModel } from './utils/embeddingModels.js';
+import { splitIntoChunks } from './utils/chunking.js';
+import { envNumber } from './utils/env.js';
+
+// Aktives Modell (wirft beim Start, wenn EMBEDDING_MODEL unbekannt ist)
+const ACTIVE_MODEL = getEmbeddingModel();
+
+// Chunking langer Beschreibungen: Zeichen pro Chunk inkl. Titel (Default: ~3 Zeichen pro Token,
+// damit das Modell nichts abschneidet, mind. MIN_EMBEDDING_CHUNK_SIZE) und Überlappung
+// benachbarter Chunks (0 bis halbe Chunk-Größe)
+const MIN_EMBEDDING_CHUNK_SIZE = 60;
+const EMBEDDING_CHUNK_SIZE = Math.max(MIN_EMBEDDING_CHUNK_SIZE, parseInt(process.env.EMBEDDING_CHUNK_SIZE) || ACTIVE_MODEL.maxTokens * 3);
+const EMBEDDING_CHUNK_OVERLAP = Math.min(
+  Math.max(0, Math.round(envNumber('EMBEDDING_CHUNK_OVERLAP', EMBEDDING_CHUNK_SIZE / 5))),
+  Math.floor(EMBEDDING_CHUNK_SIZE / 2)
+);
+
+// Texte pro Modell-Aufruf in generateEmbeddingsBatch (Migration, Re-Indexierung)
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
 
 // Cache für das Transformer-Modell
 let embedder = null;
 let isInitializing = false;
 
+// LRU-Cache für Query-Embeddings (Schlüssel: Modell + Hash des normalisierten Texts),
+// begrenzt durch Anzahl Einträge und Speicher
+const EMBEDDING_CACHE_ENABLED = process.env.EMBEDDING_CACHE_ENABLED !== 'false';
+const EMBEDDING_CACHE_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || 1000;
+const EMBEDDING_CACHE_MAX_BYTES = (parseInt(process.env.EMBEDDING_CACHE_MAX_MB) || 32) * 1024 * 1024;
+
+// Optional: Cache als JSON-Datei über Neustarts hinweg behalten
+const EMBEDDING_CACHE_PATH = process.env.EMBEDDING_CACHE_PATH || null;
+const EMBEDDING_CACHE_FLUSH_MS = 5000;
+
+const queryCache = new Map(); // Schlüssel → Float32Array, zuletzt genutzte am Ende
+const pendingQueries = new Map(); // Schlüssel → Promise (gleiche Query parallel nur einmal rechnen)
+let queryCacheBytes = 0;
+let queryCacheLoaded = false;
+let flushTimer = null;
+
 /**
  * Modell initialisieren (lazy loading)
  * @returns {Promise<Object>} Feature-Extraction Pipeline
@@ -29,16 +68,16 @@ async function initializeModel() {
 
   try {
     isInitializing = true;
-    console.log('🔄 Lade all-MiniLM-L6-v2 Modell...');
+    console.log(`🔄 Lade ${ACTIVE_MODEL.name} Modell...`);
     
-    // Feature-Extraction Pipeline mit all-MiniLM-L6-v2
+    // Feature-Extraction Pipeline mit dem aktiven Modell
     embedder = await pipeline(
       'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2',
+      ACTIVE_MODEL.source,
       { quantized: true } // Kleinere Modellgröße, schneller
     );
     
-    console.log('✅ all-MiniLM-L6-v2 Modell erfolgreich geladen');
+    console.log(`✅ ${ACTIVE_MODEL.name} Modell erfolgreich geladen`);
     isInitializing = false;
     return embedder;
   } catch (error) {
@@ -49,23 +88,16 @@ async function initializeModel() {
 }
 
 /**
- * Embedding für einen Text generieren mit all-MiniLM-L6-v2
+ * Embedding für einen Text generieren mit dem aktiven Modell
  * @param {string} text - Text (Problem-Titel + Beschreibung)
- * @param {number} dimensions - Anzahl der Dimensionen (Default: 384)
- * @returns {Promise<Array<number>>} Embedding-Vektor (384 Dimensionen)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.inputType='passage'] - passage (gespeicherter Text) oder query (Suchanfrage)
+ * @returns {Promise<Array<number>>} Embedding-Vektor (Dimension des Modells)
  */
-export async function generateEmbedding(text, dimensions = 384) {
+export async function generateEmbedding(text, { inputType = 'passage' } = {}) {
   try {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Text muss ein nicht-leerer String sein');
-    }
-
     // Text bereinigen (aber keine aggressive Vorverarbeitung)
-    const cleanedText = text.trim();
-    
-    if (cleanedText.length === 0) {
-      throw new Error('Text ist leer nach Bereinigung');
-    }
+    const cleanedText = withPrefix(cleanText(text), inputType);
 
     // Modell laden (falls noch nicht geladen)
     const model = await initializeModel();
@@ -77,21 +109,7 @@ export async function generateEmbedding(text, dimensions = 384) {
     });
     
     // Tensor zu Array konvertieren
-    let embedding = Array.from(output.data);
-    
-    // Validierung: Sollte bereits 384 Dimensionen haben
-    if (embedding.length !== dimensions) {
-      console.warn(`⚠️ Unerwartete Embedding-Größe: ${embedding.length}, erwartet: ${dimensions}`);
-      
-      // Anpassen falls nötig
-      if (embedding.length < dimensions) {
-        embedding = embedding.concat(new Array(dimensions - embedding.length).fill(0));
-      } else {
-        embedding = embedding.slice(0, dimensions);
-      }
-    }
-    
-    return embedding;
+    return fitDimensions(Array.from(output.data));
 
   } catch (error) {
     console.error('✗ Fehler bei Embedding-Generierung:', error.message);
@@ -99,6 +117,221 @@ export async function generateEmbedding(text, dimensions = 384) {
   }
 }
 
+/**
+ * ✂️ Problem-Text in Chunks teilen
+ * Die Beschreibung wird in überlappende Abschnitte geteilt, jeder Abschnitt wird
+ * zusammen mit dem Titel eingebettet. Der Titel (max. ein Drittel der Chunk-Größe)
+ * zählt zur Chunk-Größe, damit das Modell vom Abschnitt nichts abschneidet.
+ * chunk_start / chunk_length beziehen sich auf die Beschreibung; kurze
+ * Beschreibungen ergeben genau einen Chunk.
+ * @param {string} title - Problem-Titel
+ * @param {string} description - Problem-Beschreibung
+ * @returns {Array<{chunk_index: number, chunk_start: number, chunk_length: number, text: string}>} Chunks
+ */
+export function chunkProblemText(title, description) {
+  const prefix = title.slice(0, Math.floor(EMBEDDING_CHUNK_SIZE / 3));
+  const size = EMBEDDING_CHUNK_SIZE - prefix.length - 1;
+
+  return splitIntoChunks(description, { size, overlap: EMBEDDING_CHUNK_OVERLAP })
+    .map(chunk => ({
+      chunk_index: chunk.index,
+      chunk_start: chunk.start,
+      chunk_length: chunk.length,
+      text: `${prefix} ${chunk.text}`
+    }));
+}
+
+/**
+ * 🧱 Embeddings aller Chunks eines Problems generieren (ein Batch-Aufruf)
+ * @param {Object} problem - Problem mit title und description
+ * @returns {Promise<Array<{chunk_index: number, chunk_start: number, chunk_length: number, vector: Array<number>}>>} Chunk-Embeddings
+ * @throws {Error} Wenn ein Chunk nicht eingebettet werden konnte
+ */
+export async function generateProblemEmbeddings({ title, description }) {
+  const chunks = chunkProblemText(title, description);
+  const results = await generateEmbeddingsBatch(chunks.map(chunk => chunk.text));
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    throw new Error(`Embedding-Generierung fehlgeschlagen: ${failed.error}`);
+  }
+
+  return chunks.map(({ text, ...chunk }, i) => ({ ...chunk, vector: results[i].embedding }));
+}
+
+/**
+ * Text prüfen und bereinigen
+ * @private
+ */
+function cleanText(text) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Text muss ein nicht-leerer String sein');
+  }
+
+  const cleanedText = text.trim();
+
+  if (cleanedText.length === 0) {
+    throw new Error('Text ist leer nach Bereinigung');
+  }
+
+  return cleanedText;
+}
+
+/**
+ * Präfix voranstellen, das das Modell für den Eingabetyp erwartet (z.B. "query: " bei E5)
+ * @private
+ */
+function withPrefix(text, inputType) {
+  const prefix = inputType === 'query' ? ACTIVE_MODEL.queryPrefix : ACTIVE_MODEL.passagePrefix;
+  return prefix + text;
+}
+
+/**
+ * Vektor auf die Dimension des Modells bringen (sollte sie bereits haben)
+ * @private
+ */
+function fitDimensions(embedding, dimensions = ACTIVE_MODEL.dimensions) {
+  if (embedding.length === dimensions) {
+    return embedding;
+  }
+
+  console.warn(`⚠️ Unerwartete Embedding-Größe: ${embedding.length}, erwartet: ${dimensions}`);
+
+  return embedding.length < dimensions
+    ? embedding.concat(new Array(dimensions - embedding.length).fill(0))
+    : embedding.slice(0, dimensions);
+}
+
+/**
+ * 🔁 Embedding für eine Suchanfrage (mit LRU-Cache)
+ * Gleiche Anfragen (Groß-/Kleinschreibung und Leerraum egal) werden nur
+ * einmal berechnet.
+ * @param {string} query - Suchanfrage
+ * @returns {Promise<Array<number>>} Embedding-Vektor
+ */
+export async function generateQueryEmbedding(query) {
+  if (!EMBEDDING_CACHE_ENABLED || !query || typeof query !== 'string') {
+    return generateEmbedding(query, { inputType: 'query' });
+  }
+
+  loadQueryCache();
+
+  const normalized = normalizeQuery(query);
+  const key = `${ACTIVE_MODEL.name}:${ACTIVE_MODEL.dimensions}:${createHash('sha256').update(normalized).digest('hex')}`;
+
+  const cached = queryCache.get(key);
+  if (cached) {
+    // Als zuletzt genutzt markieren
+    queryCache.delete(key);
+    queryCache.set(key, cached);
+    recordEmbeddingCacheLookup(true);
+    return Array.from(cached);
+  }
+
+  recordEmbeddingCacheLookup(false);
+
+  if (!pendingQueries.has(key)) {
+    // Das Modell bekommt die Originalanfrage (mehrsprachige Modelle unterscheiden
+    // Groß-/Kleinschreibung), normalisiert wird nur der Schlüssel. Gespeichert und
+    // zurückgegeben wird derselbe Float32-Vektor, damit Treffer und Fehlschlag gleich ranken.
+    pendingQueries.set(key, generateEmbedding(query, { inputType: 'query' })
+      .then(embedding => {
+        const vector = Float32Array.from(embedding);
+        cacheQueryEmbedding(key, vector);
+        return vector;
+      })
+      .finally(() => pendingQueries.delete(key)));
+  }
+
+  return Array.from(await pendingQueries.get(key));
+}
+
+/**
+ * Suchanfrage normalisieren (Unicode NFC, Kleinschreibung, einfacher Leerraum)
+ * @private
+ */
+function normalizeQuery(query) {
+  return query.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Eintrag speichern und älteste Einträge verdrängen, bis beide Grenzen eingehalten sind
+ * @private
+ */
+function cacheQueryEmbedding(key, vector) {
+  queryCache.delete(key);
+  queryCache.set(key, vector);
+  queryCacheBytes += entrySize(key, vector);
+
+  for (const [oldestKey, oldestVector] of queryCache) {
+    if (queryCache.size <= EMBEDDING_CACHE_MAX_ENTRIES && queryCacheBytes <= EMBEDDING_CACHE_MAX_BYTES) {
+      break;
+    }
+    queryCache.delete(oldestKey);
+    queryCacheBytes -= entrySize(oldestKey, oldestVector);
+  }
+
+  recordEmbeddingCacheSize(queryCache.size, queryCacheBytes);
+  scheduleCacheFlush();
+}
+
+/**
+ * Geschätzter Speicherbedarf eines Eintrags in Bytes
+ * @private
+ */
+function entrySize(key, vector) {
+  return vector.byteLength + key.length * 2;
+}
+
+/**
+ * Persistierten Cache einmalig laden (EMBEDDING_CACHE_PATH)
+ * @private
+ */
+function loadQueryCache() {
+  if (queryCacheLoaded) return;
+  queryCacheLoaded = true;
+
+  if (!EMBEDDING_CACHE_PATH || !fs.existsSync(EMBEDDING_CACHE_PATH)) return;
+
+  try {
+    const { entries = [] } = JSON.parse(fs.readFileSync(EMBEDDING_CACHE_PATH, 'utf8'));
+    entries.forEach(([key, vector]) => cacheQueryEmbedding(key, Float32Array.from(vector)));
+    console.log(`✓ Embedding-Cache geladen aus ${EMBEDDING_CACHE_PATH} (${queryCache.size} Einträge)`);
+  } catch (error) {
+    console.warn('⚠️ Warnung: Embedding-Cache konnte nicht geladen werden:', error.message);
+  }
+}
+
+/**
+ * Schreiben gebündelt verzögern (nicht bei jedem neuen Eintrag)
+ * @private
+ */
+function scheduleCacheFlush() {
+  if (!EMBEDDING_CACHE_PATH || flushTimer) return;
+
+  flushTimer = setTimeout(flushQueryCache, EMBEDDING_CACHE_FLUSH_MS);
+  flushTimer.unref();
+}
+
+/**
+ * 💾 Query-Cache auf die Platte schreiben (synchron, auch beim Shutdown nutzbar)
+ * Ohne EMBEDDING_CACHE_PATH ohne Wirkung.
+ */
+export function flushQueryCache() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (!EMBEDDING_CACHE_PATH || !queryCacheLoaded) return;
+
+  try {
+    const entries = [...queryCache].map(([key, vector]) => [key, Array.from(vector)]);
+    fs.mkdirSync(path.dirname(EMBEDDING_CACHE_PATH), { recursive: true });
+    fs.writeFileSync(EMBEDDING_CACHE_PATH, JSON.stringify({ entries }));
+  } catch (error) {
+    console.warn('⚠️ Warnung: Embedding-Cache konnte nicht gespeichert werden:', error.message);
+  }
+}
+
 /**
  * Cosine-Similarity zwischen zwei Vektoren berechnen
  * @param {Array<number>} vec1 - Erster Vektor
@@ -130,18 +363,68 @@ export function cosineSimilarity(vec1, vec2) {
 }
 
 /**
- * Batch-Embedding-Generierung für mehrere Texte
+ * 📦 Batch-Embedding-Generierung für mehrere Texte
+ * Das Modell verarbeitet batchSize Texte pro Aufruf; Durchsatz wird pro Batch geloggt.
+ * Die Reihenfolge bleibt erhalten, Fehler betreffen nur den jeweiligen Text
+ * (schlägt ein ganzer Batch fehl, werden seine Texte einzeln wiederholt).
  * @param {Array<string>} texts - Array von Texten
- * @param {number} dimensions - Anzahl der Dimensionen
- * @returns {Promise<Array<Array<number>>>} Array von Embedding-Vektoren
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.batchSize] - Texte pro Modell-Aufruf (Default: EMBEDDING_BATCH_SIZE)
+ * @param {string} [options.inputType='passage'] - passage (gespeicherter Text) oder query (Suchanfrage)
+ * @returns {Promise<Array<{embedding: Array<number>|null, error: string|null}>>} Ergebnis pro Text
  */
-export async function generateEmbeddingsBatch(texts, dimensions = 384) {
-  const embeddings = [];
-  for (const text of texts) {
-    const embedding = await generateEmbedding(text, dimensions);
-    embeddings.push(embedding);
+export async function generateEmbeddingsBatch(texts, { batchSize = EMBEDDING_BATCH_SIZE, inputType = 'passage' } = {}) {
+  const results = texts.map(() => ({ embedding: null, error: null }));
+  const pending = [];
+
+  texts.forEach((text, index) => {
+    try {
+      pending.push({ index, text: cleanText(text) });
+    } catch (error) {
+      results[index].error = error.message;
+    }
+  });
+
+  if (pending.length === 0) {
+    return results;
+  }
+
+  const model = await initializeModel();
+  const batchCount = Math.ceil(pending.length / batchSize);
+
+  for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+    const batch = pending.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
+    const startTime = Date.now();
+
+    try {
+      const output = await model(batch.map(item => withPrefix(item.text, inputType)), {
+        pooling: 'mean',
+        normalize: true
+      });
+
+      // output.data enthält die Vektoren aller Texte hintereinander
+      const width = output.data.length / batch.length;
+      batch.forEach((item, i) => {
+        results[item.index].embedding = fitDimensions(Array.from(output.data.subarray(i * width, (i + 1) * width)));
+      });
+    } catch (error) {
+      console.warn(`⚠️ Batch ${batchIndex + 1}/${batchCount} fehlgeschlagen (${error.message}), verarbeite Texte einzeln...`);
+
+      for (const item of batch) {
+        try {
+          results[item.index].embedding = await generateEmbedding(item.text, { inputType });
+        } catch (itemError) {
+          results[item.index].error = itemError.message;
+        }
+      }
+    }
+
+    const duration = Math.max(Date.now() - startTime, 1);
+    const succeeded = batch.filter(item => results[item.index].embedding).length;
+    console.log(`📦 Batch ${batchIndex + 1}/${batchCount}: ${succeeded}/${batch.length} Embeddings in ${duration}ms (${(batch.length / duration * 1000).toFixed(1)} Texte/s)`);
   }
-  return embeddings;
+
+  return results;
 }
 
 /**
@@ -150,7 +433,7 @@ export async function generateEmbeddingsBatch(texts, dimensions = 384) {
  */
 export async function preloadModel() {
   try {
-    console.log('🔄 Preloading all-MiniLM-L6-v2...');
+    console.log(`🔄 Preloading ${ACTIVE_MODEL.name}...`);
     await initializeModel();
     console.log('✅ Modell vorgeladen');
   } catch (error) {
@@ -164,18 +447,26 @@ export async function preloadModel() {
  */
 export function getModelInfo() {
   return {
-    name: 'all-MiniLM-L6-v2',
-    source: 'sentence-transformers/all-MiniLM-L6-v2',
-    dimensions: 384,
-    maxTokens: 256,
+    name: ACTIVE_MODEL.name,
+    source: ACTIVE_MODEL.source,
+    dimensions: ACTIVE_MODEL.dimensions,
+    maxTokens: ACTIVE_MODEL.maxTokens,
+    multilingual: ACTIVE_MODEL.multilingual,
+    chunkSize: EMBEDDING_CHUNK_SIZE,
+    chunkOverlap: EMBEDDING_CHUNK_OVERLAP,
     library: '@xenova/transformers',
-    loaded: embedder !== null
+    loaded: embedder !== null,
+    available: Object.keys(EMBEDDING_MODELS)
   };
 }
 
 export default {
   generateEmbedding,
+  generateQueryEmbedding,
+  flushQueryCache,
   generateEmbeddingsBatch,
+  chunkProblemText,
+  generateProblemEmbeddings,
   cosineSimilarity,
   preloadModel,
   getModelInfo
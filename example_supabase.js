@@ -131,8 +131,8 @@ async function main() {
     // 6️⃣ Alle Probleme auflisten
     console.log('6️⃣ Alle Probleme in Supabase...\n');
     
-    const allProblems = await supabaseService.getAllProblems({ limit: 10 });
-    console.log(`Gesamt: ${allProblems.length} Probleme\n`);
+    const { data: allProblems, total } = await supabaseService.getAllProblems({ limit: 10, count: 'exact' });
+    console.log(`Gesamt: ${total} Probleme (${allProblems.length} angezeigt)\n`);
     
     allProblems.forEach((p, idx) => {
       console.log(`${idx + 1}. ${p.title}`);
@@ -0,0 +1,235 @@
+/**
+ * Authentifizierungs-Middleware
+ * Akzeptiert API-Keys (X-API-Key oder Authorization: Bearer itp_...) und
+ * Bearer-JWTs (JWT_SECRET für HS*, JWT_JWKS_PATH für RS*- und ES*-Schlüssel) und setzt req.user.
+ */
+
+import dotenv from 'dotenv';
+import { ApiError } from './errorHandler.js';
+import { getRepository } from '../repositories/index.js';
+import { hashApiKey, API_KEY_PREFIX } from '../utils/apiKeys.js';
+import { verifyJwt, loadJwks, JwtError } from '../utils/jwt.js';
+import { hasRole, isValidRole, ROLES } from '../utils/roles.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// AUTH_ENABLED=false: Credentials werden ausgewertet, fehlende aber nicht abgelehnt
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+// Lesende Requests ohne Credentials erlauben (Default: nein); gilt für Routen mit requireRole('viewer')
+const AUTH_ANONYMOUS_READS = process.env.AUTH_ANONYMOUS_READS === 'true';
+
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_JWKS_PATH = process.env.JWT_JWKS_PATH || null;
+const JWT_ISSUER = process.env.JWT_ISSUER || null;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+const JWT_DEFAULT_ROLE = process.env.JWT_DEFAULT_ROLE || 'contributor';
+
+// Explizit öffentliche Routen (immer ohne Credentials erreichbar)
+export const PUBLIC_PATHS = ['/', '/api', '/health', '/health/live', '/health/ready'];
+
+// POST-Endpunkte, die nichts verändern (Suche mit Request-Body)
+const READ_ONLY_POST_PATHS = ['/api/search', '/api/search/combined'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let jwks = null;
+
+/**
+ * Authentifizierungs-Middleware erstellen
+ * Muss vor den API-Routes registriert werden.
+ * @returns {Function} Express-Middleware
+ */
+export function authenticate() {
+  return async (req, res, next) => {
+    // Öffentliche Routen (Health-Checks) nie an Credentials scheitern lassen,
+    // z.B. wenn ein Proxy einen fremden Authorization-Header mitschickt
+    if (isPublicPath(req.path)) {
+      return next();
+    }
+
+    try {
+      const user = await resolveUser(req);
+
+      if (user) {
+        req.user = user;
+        return next();
+      }
+
+      if (!AUTH_ENABLED || (AUTH_ANONYMOUS_READS && isReadRequest(req))) {
+        return next();
+      }
+
+      throw new ApiError(401, 'Authentifizierung erforderlich (X-API-Key oder Authorization: Bearer <JWT>)');
+
+    } catch (error) {
+      if (error.statusCode === 401) {
+        logger.warn('Authentifizierung fehlgeschlagen', {
+          meta: { reason: error.message, method: req.method, url: req.originalUrl, ip: req.ip }
+        });
+        res.set('WWW-Authenticate', 'Bearer realm="it-problems-tracker"');
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * Autorisierungs-Middleware: Mindestrolle für eine Route erzwingen
+ * Ohne Credentials → 401, zu niedrige Rolle → 403 (mit Audit-Eintrag).
+ * requireRole('viewer') lässt Anonyme nur mit AUTH_ANONYMOUS_READS=true durch.
+ * Bei AUTH_ENABLED=false wird nicht geprüft.
+ * @param {string} role - Mindestens erforderliche Rolle (viewer, contributor, editor, admin)
+ * @returns {Function} Express-Middleware
+ */
+export function requireRole(role) {
+  if (!isValidRole(role)) {
+    throw new Error(`Unbekannte Rolle: ${role} (erlaubt: ${ROLES.join(', ')})`);
+  }
+
+  return (req, res, next) => {
+    if (!AUTH_ENABLED || (!req.user && role === 'viewer' && AUTH_ANONYMOUS_READS)) {
+      return next();
+    }
+
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer realm="it-problems-tracker"');
+      return next(new ApiError(401, 'Authentifizierung erforderlich (X-API-Key oder Authorization: Bearer <JWT>)'));
+    }
+
+    if (!hasRole(req.user.role, role)) {
+      logger.warn('Zugriff verweigert', {
+        meta: { userId: req.user.id, role: req.user.role, requiredRole: role, method: req.method, url: req.originalUrl }
+      });
+      res.locals.audit = {
+        action: 'access_denied',
+        metadata: { role: req.user.role, required_role: role }
+      };
+      return next(new ApiError(403, `Keine Berechtigung: Rolle '${role}' erforderlich`, {
+        role: req.user.role,
+        requiredRole: role
+      }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * User aus API-Key oder JWT ermitteln
+ * @private
+ * @returns {Promise<Object|null>} User oder null (keine Credentials)
+ */
+async function resolveUser(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey);
+  }
+
+  const authorization = req.get('authorization');
+  if (!authorization) {
+    return null;
+  }
+
+  const [scheme, token] = authorization.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    throw new ApiError(401, 'Authorization-Header muss das Format "Bearer <token>" haben');
+  }
+
+  return token.startsWith(API_KEY_PREFIX)
+    ? authenticateApiKey(token)
+    : authenticateJwt(token);
+}
+
+/**
+ * API-Key gegen die gespeicherten Hashes prüfen
+ * @private
+ */
+async function authenticateApiKey(key) {
+  const repository = getRepository();
+  const record = await repository.apiKeys.findByHash(hashApiKey(key));
+
+  if (!record || record.revoked_at) {
+    throw new ApiError(401, 'Ungültiger oder widerrufener API-Key');
+  }
+
+  if (record.expires_at && new Date(record.expires_at) < new Date()) {
+    throw new ApiError(401, 'API-Key ist abgelaufen');
+  }
+
+  // Nutzung vermerken, ohne den Request zu blockieren
+  repository.apiKeys.touch(record.id).catch(error => {
+    logger.warn('last_used_at für API-Key konnte nicht gesetzt werden', { meta: { error: error.message } });
+  });
+
+  return {
+    id: record.user_id,
+    role: record.role,
+    workspaceId: record.workspace_id || null,
+    authMethod: 'api_key',
+    keyId: record.id,
+    keyName: record.name
+  };
+}
+
+/**
+ * Bearer-JWT prüfen
+ * @private
+ */
+function authenticateJwt(token) {
+  if (!JWT_SECRET && !JWT_JWKS_PATH) {
+    throw new ApiError(401, 'JWT-Authentifizierung ist nicht konfiguriert (JWT_SECRET oder JWT_JWKS_PATH)');
+  }
+
+  if (JWT_JWKS_PATH && !jwks) {
+    jwks = loadJwks(JWT_JWKS_PATH);
+    logger.info(`JWKS geladen: ${jwks.length} Schlüssel aus ${JWT_JWKS_PATH}`);
+  }
+
+  let payload;
+  try {
+    payload = verifyJwt(token, {
+      secret: JWT_SECRET,
+      jwks: jwks || [],
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+  } catch (error) {
+    if (error instanceof JwtError) {
+      throw new ApiError(401, `Ungültiges Token: ${error.message}`);
+    }
+    throw error;
+  }
+
+  if (!payload.sub) {
+    throw new ApiError(401, 'Ungültiges Token: sub-Claim fehlt');
+  }
+
+  return {
+    id: String(payload.sub),
+    role: payload.role || JWT_DEFAULT_ROLE,
+    workspaceId: payload.workspace_id ? String(payload.workspace_id).toLowerCase() : null, // IDs sind klein geschrieben
+    email: payload.email,
+    authMethod: 'jwt'
+  };
+}
+
+/**
+ * Öffentliche Route? (exakter Pfad, ohne abschließenden Slash)
+ * @private
+ */
+function isPublicPath(path) {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  return PUBLIC_PATHS.includes(normalized);
+}
+
+/**
+ * Lesender Request? (GET/HEAD/OPTIONS sowie Such-Endpunkte)
+ * @private
+ */
+function isReadRequest(req) {
+  return READ_METHODS.includes(req.method) ||
+    (req.method === 'POST' && READ_ONLY_POST_PATHS.includes(req.path.replace(/\/+$/, '')));
+}
+
+export default authenticate;
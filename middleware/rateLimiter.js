@@ -0,0 +1,188 @@
+/**
+ * Rate-Limiting-Middleware
+ * Feste Zeitfenster pro Client (API-Key, User oder IP) und Bucket:
+ * - standard:  günstige Requests (Lesen, einfache Mutationen)
+ * - embedding: Endpunkte mit Modell-Inferenz (Suche, Anlegen/Ändern von Problemen und Lösungen)
+ * - external:  Kombinierte Suche mit Stack Overflow / YouTube
+ * Zusätzlich begrenzt authFailureLimiter() fehlgeschlagene Anmeldungen pro IP
+ * (vor authenticate(), damit Raten von Credentials nicht unbegrenzt möglich ist).
+ * Zähler liegen im Prozess-Speicher (pro Instanz; für mehrere Instanzen: Redis verwenden).
+ */
+
+import dotenv from 'dotenv';
+import { ApiError } from './errorHandler.js';
+import { recordThrottle } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000;
+
+// Requests pro Zeitfenster und Client
+export const RATE_LIMIT_BUCKETS = {
+  standard: parseInt(process.env.RATE_LIMIT_STANDARD) || 300,
+  embedding: parseInt(process.env.RATE_LIMIT_EMBEDDING) || 30,
+  external: parseInt(process.env.RATE_LIMIT_EXTERNAL) || 10
+};
+
+// Fehlgeschlagene Anmeldungen (401) pro Zeitfenster und IP, danach 429 ohne Credential-Prüfung
+export const RATE_LIMIT_AUTH_FAILURES = parseInt(process.env.RATE_LIMIT_AUTH_FAILURES) || 20;
+
+// Reihenfolge ist relevant: erster Treffer gewinnt
+const ROUTE_BUCKETS = [
+  { method: 'POST', pattern: /^\/api\/search\/combined\/?$/, bucket: 'external' },
+  { method: 'POST', pattern: /^\/api\/search\/?$/, bucket: 'embedding' },
+  { method: 'POST', pattern: /^\/api\/(problems|solutions)\/?$/, bucket: 'embedding' },
+  { method: 'PUT', pattern: /^\/api\/(problems|solutions)\/[^/]+(\/embedding)?\/?$/, bucket: 'embedding' }
+];
+
+// Health-Checks (Load-Balancer, Kubernetes) werden nie begrenzt
+const EXEMPT_PATHS = /^\/health(\/|$)/;
+
+// Aufräumen abgelaufener Zeitfenster
+const CLEANUP_INTERVAL_MS = 60000;
+
+/**
+ * Rate-Limiter erstellen
+ * Muss nach authenticate() registriert werden (Client-Schlüssel aus req.user).
+ * @returns {Function} Express-Middleware
+ */
+export function rateLimiter() {
+  const windows = createWindowStore();
+
+  return (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || EXEMPT_PATHS.test(req.path)) {
+      return next();
+    }
+
+    const bucket = classifyRequest(req);
+    const limit = RATE_LIMIT_BUCKETS[bucket];
+    const client = clientKey(req);
+    const key = `${bucket}:${client}`;
+    const now = Date.now();
+    const window = currentWindow(windows, key, now);
+
+    window.count++;
+
+    const resetSeconds = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+    res.set({
+      'RateLimit-Policy': `${limit};w=${Math.ceil(RATE_LIMIT_WINDOW_MS / 1000)}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count <= limit) {
+      return next();
+    }
+
+    recordThrottle(bucket);
+    logger.warn('Rate-Limit überschritten', {
+      meta: { bucket, client, limit, method: req.method, url: req.originalUrl }
+    });
+
+    res.set('Retry-After', String(resetSeconds));
+    next(new ApiError(429, `Zu viele Anfragen: max. ${limit} pro ${Math.ceil(RATE_LIMIT_WINDOW_MS / 1000)}s (${bucket})`, {
+      bucket,
+      limit,
+      retryAfter: resetSeconds
+    }));
+  };
+}
+
+/**
+ * Limiter für fehlgeschlagene Anmeldungen erstellen
+ * Muss vor authenticate() registriert werden: zählt Antworten mit 401 pro IP und
+ * lehnt weitere Requests dieser IP bis zum Ende des Zeitfensters mit 429 ab,
+ * ohne die Credentials erneut zu prüfen. Erfolgreiche Requests zählen nicht.
+ * @returns {Function} Express-Middleware
+ */
+export function authFailureLimiter() {
+  const windows = createWindowStore();
+
+  return (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || EXEMPT_PATHS.test(req.path)) {
+      return next();
+    }
+
+    const client = `ip:${req.ip}`;
+    const now = Date.now();
+    const window = currentWindow(windows, client, now);
+
+    if (window.count >= RATE_LIMIT_AUTH_FAILURES) {
+      const resetSeconds = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+
+      recordThrottle('auth');
+      logger.warn('Zu viele fehlgeschlagene Anmeldungen', {
+        meta: { client, limit: RATE_LIMIT_AUTH_FAILURES, method: req.method, url: req.originalUrl }
+      });
+
+      res.set('Retry-After', String(resetSeconds));
+      return next(new ApiError(429, `Zu viele fehlgeschlagene Anmeldungen: max. ${RATE_LIMIT_AUTH_FAILURES} pro ${Math.ceil(RATE_LIMIT_WINDOW_MS / 1000)}s`, {
+        bucket: 'auth',
+        limit: RATE_LIMIT_AUTH_FAILURES,
+        retryAfter: resetSeconds
+      }));
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode === 401) {
+        currentWindow(windows, client, Date.now()).count++;
+      }
+    });
+
+    next();
+  };
+}
+
+/**
+ * Zähler-Speicher mit periodischem Aufräumen abgelaufener Zeitfenster
+ * @private
+ */
+function createWindowStore() {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return windows;
+}
+
+/**
+ * Aktuelles Zeitfenster eines Schlüssels (abgelaufene werden neu gestartet)
+ * @private
+ */
+function currentWindow(windows, key, now) {
+  let window = windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    windows.set(key, window);
+  }
+  return window;
+}
+
+/**
+ * Bucket für einen Request bestimmen
+ * @private
+ */
+function classifyRequest(req) {
+  const match = ROUTE_BUCKETS.find(route => route.method === req.method && route.pattern.test(req.path));
+  return match ? match.bucket : 'standard';
+}
+
+/**
+ * Client-Schlüssel: API-Key, sonst User-ID (JWT), sonst IP-Adresse
+ * @private
+ */
+function clientKey(req) {
+  if (req.user?.keyId) return `key:${req.user.keyId}`;
+  if (req.user?.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+export default rateLimiter;
@@ -4,12 +4,18 @@
  */
 
 import { ApiError } from './errorHandler.js';
+import { PROBLEM_STATUSES, isValidStatus, parseStatusFilter } from '../utils/problemStatus.js';
+import { MAX_TAG_LENGTH } from '../utils/tags.js';
+import { PROBLEM_SORT_FIELDS, TAG_MODES, isValidDate } from '../utils/problemQuery.js';
+import { COUNT_MODES } from '../utils/pagination.js';
+import { isValidWorkspaceId } from '../utils/workspaces.js';
+import { AUDIT_NAME_PATTERN, parseListParam } from '../utils/auditQuery.js';
 
 /**
  * Validiert Problem-Daten
  */
 export function validateProblem(req, res, next) {
-  const { title, description, tags } = req.body;
+  const { title, description, tags, mode, threshold } = req.body;
   const errors = [];
 
   // Title-Validierung
@@ -33,10 +39,18 @@ export function validateProblem(req, res, next) {
   }
 
   // Tags-Validierung (optional)
-  if (tags !== undefined && tags !== null) {
-    if (!Array.isArray(tags) && typeof tags !== 'string') {
-      errors.push('Tags müssen ein Array oder String sein');
-    }
+  const tagsError = tagsValidationError(tags);
+  if (tagsError) {
+    errors.push(tagsError);
+  }
+
+  // Duplikat-Check validieren (optional)
+  if (mode !== undefined && !['warn', 'reject'].includes(mode)) {
+    errors.push("Mode muss 'warn' oder 'reject' sein");
+  }
+
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+    errors.push('Threshold muss zwischen 0 und 1 liegen');
   }
 
   if (errors.length > 0) {
@@ -79,10 +93,87 @@ export function validateProblemUpdate(req, res, next) {
   }
 
   // Tags-Validierung (falls vorhanden)
-  if (tags !== undefined && tags !== null) {
-    if (!Array.isArray(tags) && typeof tags !== 'string') {
-      errors.push('Tags müssen ein Array oder String sein');
-    }
+  const tagsError = tagsValidationError(tags);
+  if (tagsError) {
+    errors.push(tagsError);
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validierungsfehler', errors);
+  }
+
+  next();
+}
+
+/**
+ * Prüft Tags (Array von Strings oder kommagetrennter String)
+ * @returns {string|null} Fehlermeldung oder null
+ */
+function tagsValidationError(tags) {
+  if (tags === undefined || tags === null || typeof tags === 'string') {
+    return null;
+  }
+
+  if (!Array.isArray(tags)) {
+    return 'Tags müssen ein Array oder String sein';
+  }
+
+  if (tags.some(tag => typeof tag !== 'string')) {
+    return 'Tags müssen Strings sein';
+  }
+
+  if (tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+    return `Tags dürfen maximal ${MAX_TAG_LENGTH} Zeichen lang sein`;
+  }
+
+  return null;
+}
+
+/**
+ * Prüft einen einzelnen Tag-Namen
+ * @returns {boolean}
+ */
+function isValidTagName(tag) {
+  return typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= MAX_TAG_LENGTH;
+}
+
+/**
+ * Validiert Tag-Umbenennung
+ */
+export function validateTagRename(req, res, next) {
+  const { from, to } = req.body;
+  const errors = [];
+
+  if (!isValidTagName(from)) {
+    errors.push(`from muss ein Tag mit 1 bis ${MAX_TAG_LENGTH} Zeichen sein`);
+  }
+
+  if (!isValidTagName(to)) {
+    errors.push(`to muss ein Tag mit 1 bis ${MAX_TAG_LENGTH} Zeichen sein`);
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validierungsfehler', errors);
+  }
+
+  next();
+}
+
+/**
+ * Validiert Zusammenführen von Tags
+ */
+export function validateTagMerge(req, res, next) {
+  const { sources, target } = req.body;
+  const errors = [];
+
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push('sources muss ein nicht-leeres Array sein');
+  } else if (!sources.every(isValidTagName)) {
+    errors.push(`sources darf nur Tags mit 1 bis ${MAX_TAG_LENGTH} Zeichen enthalten`);
+  }
+
+  if (!isValidTagName(target)) {
+    errors.push(`target muss ein Tag mit 1 bis ${MAX_TAG_LENGTH} Zeichen sein`);
   }
 
   if (errors.length > 0) {
@@ -95,7 +186,7 @@ export function validateProblemUpdate(req, res, next) {
 /**
  * Validiert UUID (Supabase)
  */
-function isValidUUID(str) {
+export function isValidUUID(str) {
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
   return uuidRegex.test(str);
 }
@@ -113,6 +204,20 @@ export function validateUuidParam(req, res, next) {
   next();
 }
 
+/**
+ * Validiert Versions-Parameter (Revisionen)
+ */
+export function validateVersionParam(req, res, next) {
+  const version = Number(req.params.version);
+
+  if (!Number.isInteger(version) || version <= 0) {
+    throw new ApiError(400, 'Ungültige Version: Muss eine positive Ganzzahl sein');
+  }
+
+  req.params.version = version;
+  next();
+}
+
 /**
  * Validiert Lösungs-Daten (Supabase)
  */
@@ -185,6 +290,98 @@ export function validateSolutionUpdate(req, res, next) {
   next();
 }
 
+/**
+ * Validiert Bewertung einer Lösung
+ */
+export function validateVote(req, res, next) {
+  const { direction } = req.body;
+
+  if (!['up', 'down'].includes(direction)) {
+    throw new ApiError(400, 'Validierungsfehler', ["direction muss 'up' oder 'down' sein"]);
+  }
+
+  next();
+}
+
+/**
+ * Validiert Freigabe eines Problems für einen Workspace
+ */
+export function validateShare(req, res, next) {
+  const { workspace } = req.body;
+
+  if (!isValidWorkspaceId(workspace)) {
+    throw new ApiError(400, 'Validierungsfehler', [
+      'workspace muss eine gültige Workspace-ID sein (a-z, 0-9, - und _, max. 64 Zeichen)'
+    ]);
+  }
+
+  next();
+}
+
+/**
+ * Validiert Leeren des Papierkorbs (?olderThanDays=)
+ */
+export function validateTrashPurge(req, res, next) {
+  const { olderThanDays } = req.query;
+
+  if (olderThanDays !== undefined) {
+    const days = Number(olderThanDays);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new ApiError(400, 'Validierungsfehler in Query-Parametern', [
+        'OlderThanDays muss eine nicht-negative Ganzzahl sein'
+      ]);
+    }
+    req.query.olderThanDays = days;
+  }
+
+  next();
+}
+
+/**
+ * Validiert Statusänderung eines Problems
+ */
+export function validateStatusChange(req, res, next) {
+  const { status, comment } = req.body;
+  const errors = [];
+
+  if (!status) {
+    errors.push('Status ist erforderlich');
+  } else if (!isValidStatus(status)) {
+    errors.push(`Status muss einer von ${PROBLEM_STATUSES.join(', ')} sein`);
+  }
+
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== 'string') {
+      errors.push('Kommentar muss ein String sein');
+    } else if (comment.length > 1000) {
+      errors.push('Kommentar darf maximal 1000 Zeichen lang sein');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validierungsfehler', errors);
+  }
+
+  next();
+}
+
+/**
+ * Prüft einen Status-Filter ('open,resolved' oder Array) auf gültige Werte
+ * @returns {string|null} Fehlermeldung oder null
+ */
+function statusFilterError(value) {
+  if (value !== undefined && typeof value !== 'string' && !Array.isArray(value)) {
+    return 'Status muss ein String oder Array sein';
+  }
+
+  const invalid = (parseStatusFilter(value) || []).filter(status => !isValidStatus(status));
+  if (invalid.length > 0) {
+    return `Ungültiger Status: ${invalid.join(', ')} (erlaubt: ${PROBLEM_STATUSES.join(', ')})`;
+  }
+
+  return null;
+}
+
 /**
  * Validiert ID-Parameter
  */
@@ -203,7 +400,7 @@ export function validateIdParam(req, res, next) {
  * Validiert Query-Parameter für Pagination und Suche
  */
 export function validateQueryParams(req, res, next) {
-  const { limit, offset, searchTerm } = req.query;
+  const { limit, offset, cursor, count, searchTerm, status } = req.query;
   const errors = [];
 
   // Limit validieren
@@ -226,11 +423,142 @@ export function validateQueryParams(req, res, next) {
     }
   }
 
+  // Cursor validieren (Inhalt prüft utils/pagination.js)
+  if (cursor !== undefined) {
+    if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+      errors.push('Cursor ist ungültig');
+    } else if (offset !== undefined) {
+      errors.push('Cursor und Offset können nicht kombiniert werden');
+    }
+  }
+
+  // Gesamtanzahl (optional)
+  if (count !== undefined && !COUNT_MODES.includes(count)) {
+    errors.push(`Count muss einer von ${COUNT_MODES.join(', ')} sein`);
+  }
+
   // SearchTerm validieren
   if (searchTerm !== undefined && typeof searchTerm !== 'string') {
     errors.push('SearchTerm muss ein String sein');
   }
 
+  // Status-Filter validieren
+  const statusError = statusFilterError(status);
+  if (statusError) {
+    errors.push(statusError);
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validierungsfehler in Query-Parametern', errors);
+  }
+
+  next();
+}
+
+/**
+ * Validiert Filter und Sortierung der Problem-Liste
+ * (ergänzt validateQueryParams für GET /api/problems)
+ */
+export function validateProblemListParams(req, res, next) {
+  const { tags, tagMode, q, hasSolutions, sort, order } = req.query;
+  const errors = [];
+
+  // Tags (?tags=docker,nginx oder ?tags=docker&tags=nginx)
+  const tagsError = tagsValidationError(tags);
+  if (tagsError) {
+    errors.push(tagsError);
+  }
+
+  if (tagMode !== undefined && !TAG_MODES.includes(tagMode)) {
+    errors.push(`TagMode muss einer von ${TAG_MODES.join(', ')} sein`);
+  }
+
+  // Zeiträume
+  ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'].forEach(key => {
+    if (req.query[key] !== undefined && !isValidDate(req.query[key])) {
+      errors.push(`${key} muss ein ISO-Datum sein (z.B. 2024-05-31 oder 2024-05-31T12:00:00Z)`);
+    }
+  });
+
+  // Volltext
+  if (q !== undefined) {
+    if (typeof q !== 'string') {
+      errors.push('q muss ein String sein');
+    } else if (q.length > 500) {
+      errors.push('q darf maximal 500 Zeichen lang sein');
+    }
+  }
+
+  if (hasSolutions !== undefined && !['true', 'false'].includes(hasSolutions)) {
+    errors.push("HasSolutions muss 'true' oder 'false' sein");
+  }
+
+  // Sortierung
+  if (sort !== undefined && !PROBLEM_SORT_FIELDS.includes(sort)) {
+    errors.push(`Sort muss einer von ${PROBLEM_SORT_FIELDS.join(', ')} sein`);
+  }
+
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    errors.push("Order muss 'asc' oder 'desc' sein");
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Validierungsfehler in Query-Parametern', errors);
+  }
+
+  next();
+}
+
+/**
+ * Validiert Filter der Audit-Log-Abfrage
+ * (ergänzt validateQueryParams für GET /api/audit)
+ */
+export function validateAuditQueryParams(req, res, next) {
+  const { userId, action, resource, resourceId, statusFrom, statusTo } = req.query;
+  const errors = [];
+
+  if (userId !== undefined && (typeof userId !== 'string' || userId.length === 0 || userId.length > 255)) {
+    errors.push('UserId muss ein String mit 1 bis 255 Zeichen sein');
+  }
+
+  if (action !== undefined) {
+    const actions = typeof action === 'string' || Array.isArray(action) ? parseListParam(action) || [] : null;
+    if (!actions || !actions.every(name => AUDIT_NAME_PATTERN.test(name))) {
+      errors.push('Action muss eine kommagetrennte Liste von Aktionen sein (a-z und _)');
+    }
+  }
+
+  if (resource !== undefined && (typeof resource !== 'string' || !AUDIT_NAME_PATTERN.test(resource))) {
+    errors.push('Resource muss ein Ressourcen-Typ sein (a-z und _, z.B. problem)');
+  }
+
+  if (resourceId !== undefined && (typeof resourceId !== 'string' || !isValidUUID(resourceId))) {
+    errors.push('ResourceId muss eine gültige UUID sein');
+  }
+
+  // HTTP-Status-Bereich
+  const statuses = {};
+  [['statusFrom', statusFrom], ['statusTo', statusTo]].forEach(([key, value]) => {
+    if (value === undefined) return;
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 100 || num > 599) {
+      errors.push(`${key} muss ein HTTP-Status zwischen 100 und 599 sein`);
+    } else {
+      statuses[key] = num;
+    }
+  });
+
+  if (statuses.statusFrom && statuses.statusTo && statuses.statusFrom > statuses.statusTo) {
+    errors.push('statusFrom darf nicht größer als statusTo sein');
+  }
+
+  // Zeitraum
+  ['from', 'to'].forEach(key => {
+    if (req.query[key] !== undefined && !isValidDate(req.query[key])) {
+      errors.push(`${key} muss ein ISO-Datum sein (z.B. 2024-05-31 oder 2024-05-31T12:00:00Z)`);
+    }
+  });
+
   if (errors.length > 0) {
     throw new ApiError(400, 'Validierungsfehler in Query-Parametern', errors);
   }
@@ -242,7 +570,7 @@ export function validateQueryParams(req, res, next) {
  * Validiert Suche-Parameter
  */
 export function validateSearchParams(req, res, next) {
-  const { query, limit, threshold } = req.body;
+  const { query, limit, threshold, mode, weights, boostAccepted, status } = req.body;
   const errors = [];
 
   // Query validieren
@@ -272,6 +600,35 @@ export function validateSearchParams(req, res, next) {
     }
   }
 
+  // Mode validieren (optional)
+  if (mode !== undefined && !['semantic', 'hybrid', 'solutions'].includes(mode)) {
+    errors.push("Mode muss 'semantic', 'hybrid' oder 'solutions' sein");
+  }
+
+  // Gewichte validieren (optional, nur Hybrid-Suche)
+  if (weights !== undefined) {
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+      errors.push('Weights muss ein Objekt { semantic, keyword } sein');
+    } else {
+      ['semantic', 'keyword'].forEach(key => {
+        if (weights[key] !== undefined && (typeof weights[key] !== 'number' || weights[key] < 0)) {
+          errors.push(`Weights.${key} muss eine nicht-negative Zahl sein`);
+        }
+      });
+    }
+  }
+
+  // Accepted-Boost validieren (optional)
+  if (boostAccepted !== undefined && (typeof boostAccepted !== 'number' || boostAccepted < 0 || boostAccepted > 10)) {
+    errors.push('BoostAccepted muss zwischen 0 und 10 liegen');
+  }
+
+  // Status-Filter validieren (optional)
+  const statusError = statusFilterError(status);
+  if (statusError) {
+    errors.push(statusError);
+  }
+
   if (errors.length > 0) {
     throw new ApiError(400, 'Validierungsfehler in Such-Parametern', errors);
   }
@@ -0,0 +1,43 @@
+/**
+ * Workspace-Middleware
+ * Ermittelt den Workspace des Requests und setzt req.workspaceId:
+ * - User mit festem Workspace (API-Key workspace_id, JWT-Claim workspace_id): immer dieser
+ * - Admins ohne festen Workspace: X-Workspace-Id-Header (sonst DEFAULT_WORKSPACE)
+ * - alle anderen: DEFAULT_WORKSPACE (bei AUTH_ENABLED=false auch per Header wählbar)
+ */
+
+import { ApiError } from './errorHandler.js';
+import { AUTH_ENABLED } from './auth.js';
+import { DEFAULT_WORKSPACE, isValidWorkspaceId } from '../utils/workspaces.js';
+import { hasRole } from '../utils/roles.js';
+
+/**
+ * Workspace-Middleware erstellen
+ * Muss nach authenticate() registriert werden.
+ * @returns {Function} Express-Middleware
+ */
+export function resolveWorkspace() {
+  return (req, res, next) => {
+    const requested = req.get('x-workspace-id');
+
+    if (requested !== undefined && !isValidWorkspaceId(requested)) {
+      return next(new ApiError(400, 'Ungültiger X-Workspace-Id-Header (erlaubt: a-z, 0-9, - und _, max. 64 Zeichen)'));
+    }
+
+    const bound = req.user?.workspaceId;
+    const canChoose = !AUTH_ENABLED || (!bound && hasRole(req.user?.role, 'admin'));
+    const workspaceId = bound || (canChoose && requested) || DEFAULT_WORKSPACE;
+
+    if (requested && requested !== workspaceId) {
+      return next(req.user
+        ? new ApiError(403, `Kein Zugriff auf Workspace '${requested}'`, { workspace: workspaceId })
+        : new ApiError(401, 'Authentifizierung erforderlich für X-Workspace-Id'));
+    }
+
+    req.workspaceId = workspaceId;
+    res.set('X-Workspace-Id', workspaceId);
+    next();
+  };
+}
+
+export default resolveWorkspace;
@@ -1,130 +1,446 @@
 /**
- * Migrations-Skript: TF-IDF → all-MiniLM-L6-v2
- * Regeneriert alle Embeddings mit dem neuen Modell
+ * Migrations-Skript: Embeddings für ein Modell (neu) erstellen
+ * Neue Vektoren werden per Upsert geschrieben, bevor überzählige alte Chunks
+ * entfernt werden - die Suche bleibt während der Migration nutzbar.
+ * Der Fortschritt steht nach jeder Seite in einer Checkpoint-Datei; ein
+ * abgebrochener Lauf mit denselben Optionen setzt dort wieder an.
+ *
+ * Verwendung:
+ *   node migrate_embeddings.js [--dry-run] [--model multilingual-e5-small] [--batch-size 32]
+ *     [--only-missing] [--only-stale] [--problem-id <uuid> ...]
+ *     [--checkpoint ./data/migrate-embeddings.checkpoint.json] [--report ./data/migrate-embeddings.report.json]
+ *
+ * --dry-run       Nur auswerten, was migriert würde (kein Modell, keine Schreibzugriffe)
+ * --model         Ziel-Modell aus der Registry (Default: EMBEDDING_MODEL)
+ * --batch-size    Texte pro Modell-Aufruf (Default: EMBEDDING_BATCH_SIZE)
+ * --only-missing  Nur Einträge ganz ohne Embedding
+ * --only-stale    Nur Einträge mit Embedding eines anderen Modells oder (Probleme) älter als die
+ *                 letzte Änderung von Titel oder Beschreibung (problem_revisions). Maßgeblich ist
+ *                 nicht mehr updated_at: Status-, Tag- oder Freigabe-Änderungen gelten nicht als
+ *                 veraltet. Lösungen sind nur bei fehlendem Embedding oder anderem Modell betroffen.
+ * --problem-id    Nur diese Probleme und ihre Lösungen (mehrfach angebbar)
+ *
+ * --only-missing und --only-stale zusammen wählen beides aus, ohne beide wird alles migriert.
  */
 
-import { supabase } from './supabaseClient.js';
-import { generateEmbedding } from './embeddingService.js';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { isValidUUID } from './middleware/validation.js';
 
-async function migrateEmbeddings() {
-  console.log('\n╔════════════════════════════════════════════════╗');
-  console.log('║  Embedding-Migration: TF-IDF → all-MiniLM-L6-v2 ║');
-  console.log('╚════════════════════════════════════════════════╝\n');
+const { values: args } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    model: { type: 'string' },
+    'batch-size': { type: 'string' },
+    'only-missing': { type: 'boolean', default: false },
+    'only-stale': { type: 'boolean', default: false },
+    'problem-id': { type: 'string', multiple: true },
+    checkpoint: { type: 'string', default: './data/migrate-embeddings.checkpoint.json' },
+    report: { type: 'string', default: './data/migrate-embeddings.report.json' }
+  }
+});
 
-  try {
-    // Schritt 1: Alle Probleme abrufen
-    console.log('📋 Schritt 1: Probleme aus Supabase abrufen...');
-    const { data: problems, error: problemsError } = await supabase
-      .from('problems')
-      .select('id, title, description');
-
-    if (problemsError) {
-      throw new Error(`Fehler beim Abrufen der Probleme: ${problemsError.message}`);
+// Modell vor dem Laden von Registry und Embedding-Service setzen (EMBEDDING_MODEL wird beim Import
+// gelesen; dotenv überschreibt bereits gesetzte Variablen nicht)
+if (args.model) {
+  process.env.EMBEDDING_MODEL = args.model;
+}
+
+const { isKnownModel, EMBEDDING_MODELS } = await import('./utils/embeddingModels.js');
+
+const PAGE_SIZE = 200;
+const DRY_RUN = args['dry-run'];
+
+/**
+ * CLI-Optionen prüfen
+ * @returns {Object} Batch-Größe und Auswahl
+ */
+function parseOptions() {
+  if (args.model && !isKnownModel(args.model)) {
+    throw new Error(`--model muss eines der folgenden Modelle sein: ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+  }
+
+  const batchSize = args['batch-size'] ? parseInt(args['batch-size']) : undefined;
+  if (batchSize !== undefined && (isNaN(batchSize) || batchSize <= 0)) {
+    throw new Error('--batch-size muss eine positive Zahl sein');
+  }
+
+  const problemIds = args['problem-id'] || null;
+  const invalidId = (problemIds || []).find(id => !isValidUUID(id));
+  if (invalidId) {
+    throw new Error(`--problem-id muss eine UUID sein: ${invalidId}`);
+  }
+
+  return {
+    batchSize,
+    selection: {
+      onlyMissing: args['only-missing'],
+      onlyStale: args['only-stale'],
+      problemIds
     }
+  };
+}
+
+let options;
+try {
+  options = parseOptions();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+const { batchSize, selection } = options;
+const { getRepository } = await import('./repositories/index.js');
+const { generateEmbeddingsBatch, chunkProblemText, getModelInfo } = await import('./embeddingService.js');
+const MODEL_NAME = getModelInfo().name;
+
+/**
+ * Leeren Bericht anlegen (wird im Checkpoint mitgeführt)
+ */
+function createReport() {
+  const counters = () => ({ scanned: 0, selected: 0, migrated: 0, failed: 0, reasons: {} });
+
+  return {
+    model: MODEL_NAME,
+    dry_run: DRY_RUN,
+    options: {
+      batch_size: batchSize ?? null,
+      only_missing: selection.onlyMissing,
+      only_stale: selection.onlyStale,
+      problem_ids: selection.problemIds
+    },
+    status: 'running',
+    resumed: false,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    problems: { ...counters(), chunks: 0 },
+    solutions: counters(),
+    errors: []
+  };
+}
+
+/**
+ * Checkpoint laden, wenn er zum selben Modell und derselben Auswahl gehört
+ */
+function loadCheckpoint() {
+  if (!fs.existsSync(args.checkpoint)) return null;
+
+  const checkpoint = JSON.parse(fs.readFileSync(args.checkpoint, 'utf8'));
+  if (checkpoint.model !== MODEL_NAME || JSON.stringify(checkpoint.selection) !== JSON.stringify(selection)) {
+    console.warn(`⚠️  Checkpoint ${args.checkpoint} gehört zu anderen Optionen - starte neu\n`);
+    return null;
+  }
+
+  return checkpoint;
+}
 
-    if (!problems || problems.length === 0) {
-      console.log('ℹ️  Keine Probleme gefunden. Migration nicht erforderlich.\n');
-      return;
+/**
+ * Checkpoint atomar schreiben (erst temporäre Datei, dann umbenennen)
+ */
+function saveCheckpoint(state) {
+  fs.mkdirSync(path.dirname(args.checkpoint), { recursive: true });
+  fs.writeFileSync(`${args.checkpoint}.tmp`, JSON.stringify({ ...state, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(`${args.checkpoint}.tmp`, args.checkpoint);
+}
+
+/**
+ * Bericht als JSON schreiben
+ */
+function writeReport(report) {
+  fs.mkdirSync(path.dirname(args.report), { recursive: true });
+  fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+}
+
+/**
+ * Grund für die Migration eines Eintrags bestimmen
+ * @param {Array<Object>} rows - Embedding-Metadaten des Eintrags (alle Modelle)
+ * @param {number} [contentChangedAt] - Letzte Änderung des eingebetteten Texts (ms, optional)
+ * @returns {string} missing, stale_model, stale_updated oder current
+ */
+function migrationReason(rows, contentChangedAt) {
+  const own = rows.filter(row => row.model_name === MODEL_NAME);
+
+  if (own.length === 0) {
+    return rows.length === 0 ? 'missing' : 'stale_model';
+  }
+
+  if (contentChangedAt === undefined) return 'current';
+
+  const embeddedAt = Math.min(...own.map(row => new Date(row.updated_at).getTime()));
+  return embeddedAt < contentChangedAt ? 'stale_updated' : 'current';
+}
+
+/**
+ * Letzte Änderung von Titel oder Beschreibung pro Problem (ms)
+ * problems.updated_at taugt nicht: Status, Freigaben, Papierkorb und Zähler ändern es auch.
+ * Ohne Revision gilt created_at; die nachgetragene Ursprungsfassung (changed_fields
+ * leer) und reine Tag-Änderungen zählen nicht.
+ */
+async function lastContentChanges(repository, problems) {
+  const changedAt = new Map(problems.map(problem => [problem.id, new Date(problem.created_at).getTime()]));
+  const revisions = await repository.revisions.listByProblemIds(problems.map(problem => problem.id));
+
+  revisions
+    .filter(revision => (revision.changed_fields || []).some(field => field === 'title' || field === 'description'))
+    .forEach(revision => {
+      const time = new Date(revision.created_at).getTime();
+      if (time > changedAt.get(revision.problem_id)) changedAt.set(revision.problem_id, time);
+    });
+
+  return changedAt;
+}
+
+/**
+ * Einträge einer Seite nach --only-missing / --only-stale auswählen und zählen
+ */
+function selectItems(items, metadata, changedAt, idField, stats) {
+  const filtered = selection.onlyMissing || selection.onlyStale;
+
+  return items.filter(item => {
+    const reason = migrationReason(metadata.filter(row => row[idField] === item.id), changedAt?.get(item.id));
+    const selected = !filtered ||
+      (selection.onlyMissing && reason === 'missing') ||
+      (selection.onlyStale && reason.startsWith('stale'));
+
+    stats.scanned++;
+    if (selected) {
+      stats.selected++;
+      stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
     }
+    return selected;
+  });
+}
 
-    console.log(`✓ ${problems.length} Probleme gefunden\n`);
+/**
+ * Nächste Seite Probleme (Keyset nach created_at, bei --problem-id genau eine Seite)
+ */
+async function nextProblemPage(repository, cursor, report) {
+  if (!selection.problemIds) {
+    return repository.problems.list({ limit: PAGE_SIZE, sort: 'created_at', order: 'asc', after: cursor });
+  }
 
-    // Schritt 2: Alle alten Embeddings löschen
-    console.log('🗑️  Schritt 2: Alle bestehenden Embeddings löschen...');
-    const { error: deleteError, count } = await supabase
-      .from('embeddings')
-      .delete()
-      .neq('id', '00000000-0000-0000-0000-000000000000'); // Löscht alle
+  if (cursor) return [];
 
-    if (deleteError) {
-      console.warn('⚠️  Warnung beim Löschen alter Embeddings:', deleteError.message);
-    } else {
-      console.log(`✓ ${count || 'Alle'} Embeddings gelöscht\n`);
+  const problems = await Promise.all(selection.problemIds.map(id => repository.problems.findById(id)));
+  problems.forEach((problem, i) => {
+    if (!problem || problem.deleted_at) {
+      report.errors.push({ type: 'problem', id: selection.problemIds[i], error: 'Problem nicht gefunden' });
     }
+  });
+  return problems.filter(problem => problem && !problem.deleted_at);
+}
+
+/**
+ * Nächste Seite Lösungen (Keyset nach created_at, bei --problem-id genau eine Seite)
+ */
+async function nextSolutionPage(repository, cursor) {
+  if (!selection.problemIds) {
+    return repository.solutions.list({ limit: PAGE_SIZE, after: cursor });
+  }
+
+  if (cursor) return [];
+
+  const solutions = await Promise.all(selection.problemIds.map(id => repository.solutions.listByProblemId(id)));
+  return solutions.flat();
+}
+
+/**
+ * Chunk-Embeddings für ausgewählte Probleme generieren und speichern
+ * (alle Chunks der Seite gemeinsam im Batch)
+ */
+async function embedProblems(repository, problems, report) {
+  const problemChunks = problems.map(problem => chunkProblemText(problem.title, problem.description));
+  report.problems.chunks += problemChunks.flat().length;
+
+  if (DRY_RUN) return;
+
+  const results = await generateEmbeddingsBatch(problemChunks.flat().map(chunk => chunk.text), { batchSize });
+  let resultOffset = 0;
+
+  for (const [i, problem] of problems.entries()) {
+    const chunkResults = results.slice(resultOffset, resultOffset + problemChunks[i].length);
+    resultOffset += problemChunks[i].length;
+
+    try {
+      const failed = chunkResults.find(result => result.error);
+      if (failed) {
+        throw new Error(failed.error);
+      }
 
-    // Schritt 3: Neue Embeddings generieren
-    console.log('🔄 Schritt 3: Neue Embeddings mit all-MiniLM-L6-v2 generieren...\n');
-    
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-
-    for (let i = 0; i < problems.length; i++) {
-      const problem = problems[i];
-      const progress = `[${i + 1}/${problems.length}]`;
-      
-      try {
-        console.log(`${progress} Problem: ${problem.title.substring(0, 50)}...`);
-        
-        // Embedding generieren
-        const textForEmbedding = `${problem.title} ${problem.description}`;
-        const startTime = Date.now();
-        const embedding = await generateEmbedding(textForEmbedding);
-        const duration = Date.now() - startTime;
-        
-        console.log(`  ⏱️  Embedding generiert in ${duration}ms (${embedding.length} Dim)`);
-        
-        // In Datenbank speichern (UPSERT: Update oder Insert)
-        const { error: insertError } = await supabase
-          .from('embeddings')
-          .upsert({
-            problem_id: problem.id,
-            vector: embedding,
-            model_name: 'all-MiniLM-L6-v2'
-          }, {
-            onConflict: 'problem_id' // Bei Konflikt: Update statt Fehler
-          });
-
-        if (insertError) {
-          throw new Error(insertError.message);
-        }
-
-        console.log(`  ✅ Erfolgreich gespeichert\n`);
-        successCount++;
-        
-      } catch (error) {
-        console.error(`  ❌ Fehler: ${error.message}\n`);
-        errorCount++;
-        errors.push({
-          problemId: problem.id,
-          title: problem.title,
-          error: error.message
-        });
+      // Upsert: neue Chunks überschreiben die alten, danach werden überzählige entfernt
+      await repository.embeddings.upsert({
+        problem_id: problem.id,
+        model_name: MODEL_NAME,
+        workspace_id: problem.workspace_id,
+        chunks: problemChunks[i].map(({ text, ...chunk }, j) => ({ ...chunk, vector: chunkResults[j].embedding }))
+      });
+      report.problems.migrated++;
+
+    } catch (error) {
+      console.error(`  ❌ ${problem.title.substring(0, 50)} (${problem.id}): ${error.message}`);
+      report.problems.failed++;
+      report.errors.push({ type: 'problem', id: problem.id, title: problem.title, error: error.message });
+    }
+  }
+}
+
+/**
+ * Embeddings für ausgewählte Lösungen generieren und speichern
+ */
+async function embedSolutions(repository, solutions, report) {
+  if (DRY_RUN) return;
+
+  const results = await generateEmbeddingsBatch(solutions.map(solution => solution.description), { batchSize });
+
+  for (const [i, solution] of solutions.entries()) {
+    try {
+      if (results[i].error) {
+        throw new Error(results[i].error);
       }
+
+      await repository.solutionEmbeddings.upsert({
+        solution_id: solution.id,
+        problem_id: solution.problem_id,
+        vector: results[i].embedding,
+        model_name: MODEL_NAME,
+        workspace_id: solution.workspace_id
+      });
+      report.solutions.migrated++;
+
+    } catch (error) {
+      console.error(`  ❌ Lösung ${solution.id}: ${error.message}`);
+      report.solutions.failed++;
+      report.errors.push({ type: 'solution', id: solution.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Eine Phase (Probleme oder Lösungen) seitenweise abarbeiten, Checkpoint nach jeder Seite
+ */
+async function runPhase(state, { nextPage, listMetadata, contentChanges = null, idField, stats, embed }) {
+  for (;;) {
+    const page = await nextPage(state.cursor);
+    if (page.length === 0) break;
+
+    const metadata = await listMetadata(page.map(item => item.id));
+    const changedAt = contentChanges ? await contentChanges(page) : null;
+    const selected = selectItems(page, metadata, changedAt, idField, stats);
+
+    if (selected.length > 0) {
+      await embed(selected);
     }
 
-    // Zusammenfassung
-    console.log('╔════════════════════════════════════════╗');
-    console.log('║         MIGRATIONS-ERGEBNIS            ║');
-    console.log('╚════════════════════════════════════════╝\n');
-    console.log(`✅ Erfolgreich: ${successCount}/${problems.length}`);
-    console.log(`❌ Fehler:      ${errorCount}/${problems.length}`);
-    
-    if (errorCount > 0) {
-      console.log('\n⚠️  Fehlerhafte Probleme:');
-      errors.forEach(err => {
-        console.log(`  - ${err.title} (${err.problemId})`);
-        console.log(`    ${err.error}`);
+    const last = page[page.length - 1];
+    state.cursor = { value: last.created_at, id: last.id };
+    if (!DRY_RUN) saveCheckpoint(state);
+
+    console.log(`✓ ${stats.scanned} geprüft, ${stats.selected} ausgewählt, ${stats.migrated} migriert, ${stats.failed} Fehler`);
+
+    if (page.length < PAGE_SIZE) break;
+  }
+}
+
+async function migrateEmbeddings() {
+  console.log('\n╔════════════════════════════════════════════════╗');
+  console.log(`║  Embedding-Migration: ${MODEL_NAME.padEnd(25)}║`);
+  console.log('╚════════════════════════════════════════════════╝\n');
+
+  const repository = getRepository();
+  const checkpoint = DRY_RUN ? null : loadCheckpoint();
+  const state = checkpoint || { model: MODEL_NAME, selection, phase: 'problems', cursor: null, report: createReport() };
+  const { report } = state;
+  const startTime = Date.now();
+
+  if (checkpoint) {
+    report.resumed = true;
+    console.log(`↩️  Setze Migration fort (Phase ${state.phase}, ${report.problems.scanned} Probleme bereits geprüft)\n`);
+  }
+
+  console.log(`📋 Storage-Backend: ${repository.name}${DRY_RUN ? ' (Dry-Run, keine Änderungen)' : ''}\n`);
+
+  try {
+    // Schritt 1: Probleme (ein Embedding pro Chunk der Beschreibung)
+    if (state.phase === 'problems') {
+      console.log('🔄 Schritt 1: Problem-Embeddings...\n');
+      await runPhase(state, {
+        nextPage: cursor => nextProblemPage(repository, cursor, report),
+        listMetadata: ids => repository.embeddings.listByProblemIds(ids),
+        contentChanges: problems => lastContentChanges(repository, problems),
+        idField: 'problem_id',
+        stats: report.problems,
+        embed: problems => embedProblems(repository, problems, report)
       });
+
+      state.phase = 'solutions';
+      state.cursor = null;
+      if (!DRY_RUN) saveCheckpoint(state);
     }
-    
-    console.log('\n🎉 Migration abgeschlossen!\n');
+
+    // Schritt 2: Lösungen (ohne Revisionen; geänderte Beschreibungen bettet updateSolution neu ein)
+    console.log('\n🧩 Schritt 2: Lösungs-Embeddings...\n');
+    await runPhase(state, {
+      nextPage: cursor => nextSolutionPage(repository, cursor),
+      listMetadata: ids => repository.solutionEmbeddings.listBySolutionIds(ids),
+      idField: 'solution_id',
+      stats: report.solutions,
+      embed: solutions => embedSolutions(repository, solutions, report)
+    });
 
   } catch (error) {
-    console.error('\n❌ Kritischer Fehler bei der Migration:', error.message);
-    console.error(error.stack);
-    process.exit(1);
+    report.status = 'failed';
+    report.errors.push({ type: 'fatal', error: error.message });
+    writeReport(report);
+    if (!DRY_RUN) {
+      console.error(`\n💾 Checkpoint: ${args.checkpoint} - erneuter Aufruf mit denselben Optionen setzt fort`);
+    }
+    throw error;
+  }
+
+  // Bericht (Dauer seit dem ersten Start, auch über fortgesetzte Läufe)
+  report.status = 'completed';
+  report.finished_at = new Date().toISOString();
+  report.duration_ms = Date.now() - new Date(report.started_at).getTime();
+  writeReport(report);
+
+  if (!DRY_RUN && fs.existsSync(args.checkpoint)) {
+    fs.unlinkSync(args.checkpoint);
+  }
+
+  const duration = Math.max(Date.now() - startTime, 1);
+  const done = stats => DRY_RUN ? stats.selected : stats.migrated;
+
+  console.log('\n╔════════════════════════════════════════╗');
+  console.log('║         MIGRATIONS-ERGEBNIS            ║');
+  console.log('╚════════════════════════════════════════╝\n');
+  console.log(`${DRY_RUN ? '🔎 Würde migrieren' : '✅ Migriert'}: ${done(report.problems)}/${report.problems.scanned} Probleme (${report.problems.chunks} Chunks), ${done(report.solutions)}/${report.solutions.scanned} Lösungen`);
+  console.log(`❌ Fehler:      ${report.problems.failed} Probleme, ${report.solutions.failed} Lösungen`);
+  console.log(`⏱️  Laufzeit:    ${(duration / 1000).toFixed(1)}s`);
+  console.log(`📄 Bericht:     ${args.report}`);
+
+  if (report.errors.length > 0) {
+    console.log('\n⚠️  Fehlerhafte Einträge:');
+    report.errors.forEach(err => {
+      console.log(`  - ${err.type} ${err.title || err.id}`);
+      console.log(`    ${err.error}`);
+    });
   }
+
+  console.log(`\n🎉 ${DRY_RUN ? 'Dry-Run' : 'Migration'} abgeschlossen!\n`);
 }
 
 // Migration starten
-console.log('⚠️  WICHTIG: Dieses Skript löscht alle alten Embeddings und erstellt sie neu!');
-console.log('⏳ Geschätzte Dauer: ~500ms pro Problem');
-console.log('💾 Stelle sicher, dass Supabase erreichbar ist.\n');
+if (!DRY_RUN) {
+  console.log(`ℹ️  Neue Embeddings von ${MODEL_NAME} werden geschrieben, bevor alte ersetzt werden.`);
+  console.log('⏳ Embeddings werden in Batches generiert (--batch-size, Default EMBEDDING_BATCH_SIZE)');
+  console.log('💾 Stelle sicher, dass das Storage-Backend erreichbar ist.\n');
 
-// Sicherheits-Delay (Zeit zum Abbrechen mit Ctrl+C)
-console.log('🕐 Starte in 3 Sekunden... (Ctrl+C zum Abbrechen)');
-await new Promise(resolve => setTimeout(resolve, 3000));
+  // Sicherheits-Delay (Zeit zum Abbrechen mit Ctrl+C)
+  console.log('🕐 Starte in 3 Sekunden... (Ctrl+C zum Abbrechen)');
+  await new Promise(resolve => setTimeout(resolve, 3000));
+}
 
 migrateEmbeddings()
   .then(() => {
@@ -132,6 +448,6 @@ migrateEmbeddings()
     process.exit(0);
   })
   .catch(error => {
-    console.error('❌ Skript mit Fehler beendet:', error);
+    console.error('❌ Skript mit Fehler beendet:', error.message);
     process.exit(1);
   });
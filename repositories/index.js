@@ -0,0 +1,93 @@
+/**
+ * Storage-Repository
+ * Einheitliche Schnittstelle für Probleme, Lösungen, Embeddings und Audit-Logs.
+ * Das Backend wird per STORAGE_BACKEND gewählt: 'supabase' (Default) oder 'memory'.
+ *
+ * Schnittstelle (von allen Adaptern implementiert):
+ * - name, description: string; ping(): Promise<void>
+ * - problems: create, findById, findByIdsWithSolutions, list, count, update, delete,
+ *   purgeTrash, transitionStatus, revise, searchFullText
+ * - solutions: create, list, listByProblemId, countByProblemId, findById, update, delete,
+ *   setAccepted, vote
+ * - embeddings: upsert, listByProblemIds, deleteAll, searchSimilar
+ * - solutionEmbeddings: upsert, listBySolutionIds, searchSimilar
+ * - tags: list, replace
+ * - statusHistory: listByProblemId
+ * - revisions: listByProblemId, listByProblemIds, findByVersion
+ * - embeddingJobs: create, findById, findPendingByProblemId, update, claimNext, retry, recover
+ * - apiKeys: create, findByHash, touch
+ * - auditLogs: create, list, count, activity
+ *
+ * Listen-Methoden (problems.list, solutions.list/listByProblemId, auditLogs.list) akzeptieren
+ * options.after = { value, id } für Keyset-Pagination (siehe utils/pagination.js).
+ * Such-Methoden akzeptieren options.filters = { status: string[], workspace: string }
+ * (Status des Problems; workspace = eigene und per shared_with freigegebene Probleme),
+ * Vektor-Suchen zusätzlich filters.model (nur Embeddings dieses Modells vergleichen).
+ * Embeddings sind pro (problem_id bzw. solution_id, model_name) eindeutig; upsert
+ * ersetzt nur das Embedding desselben Modells, deleteAll({ model }) löscht optional
+ * nur die Embeddings eines Modells. Probleme haben ein Embedding pro Chunk der
+ * Beschreibung: embeddings.upsert({ problem_id, model_name, workspace_id, chunks })
+ * speichert alle Chunks ({ chunk_index, chunk_start, chunk_length, vector }) und
+ * entfernt überzählige; embeddings.searchSimilar liefert pro Problem den besten Chunk.
+ * listByProblemIds / listBySolutionIds liefern nur Metadaten (model_name, updated_at,
+ * ohne Vektoren), z.B. um fehlende oder veraltete Embeddings zu finden;
+ * revisions.listByProblemIds liefert version, changed_fields und created_at.
+ * Gelöschte Probleme (deleted_at gesetzt, Papierkorb) tauchen in Listen und Suchen nicht
+ * auf; problems.list/count mit filters.trashed = true liefern nur sie (nur eigene).
+ * findById liefert auch gelöschte Probleme, purgeTrash entfernt sie endgültig.
+ * problems.list/count akzeptieren dieselben Filter, tags.list/replace { workspace }
+ * (nur eigene Probleme), auditLogs.list/count { workspaceId, userId, actions, resource,
+ * resourceId, statusFrom, statusTo, from, to }, auditLogs.activity { workspaceId, userId }.
+ * transitionStatus ist ein Compare-and-Set: liefert null, wenn das Problem fehlt
+ * oder der Status nicht mehr dem erwarteten Ausgangsstatus entspricht.
+ * revise ändert title/description/tags und schreibt eine Revision (Version 1 =
+ * Ursprungsfassung, wird bei Bedarf nachgetragen); ohne Änderung keine Revision.
+ * solutions.vote(id, userId, direction) speichert eine Stimme pro User (andere Richtung
+ * dreht sie um) und liefert die Lösung mit aus allen Stimmen abgeleiteten Zählern
+ * (plus Sockel legacy_upvotes / legacy_downvotes aus der Zeit vor solution_votes).
+ * embeddings.upsert setzt problems.embedding_status auf 'ready'. embeddingJobs.claimNext
+ * übernimmt atomar den nächsten fälligen Job ('pending', run_at erreicht) als 'running'
+ * und zählt attempts hoch; recover reiht nach einem Neustart abgebrochene ('running')
+ * Jobs wieder ein und liefert deren Anzahl. retry setzt einen 'failed'-Job mit neuen
+ * Versuchen auf 'pending' (null, wenn der Job fehlt oder nicht fehlgeschlagen ist).
+ *
+ * Alle Methoden sind async. Nicht gefundene Einträge liefern null,
+ * Datenbankfehler werden als Error (inkl. Postgres-Code) geworfen.
+ */
+
+import dotenv from 'dotenv';
+import { createSupabaseRepository } from './supabaseRepository.js';
+import { createMemoryRepository } from './memoryRepository.js';
+
+dotenv.config();
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase';
+const MEMORY_STORE_PATH = process.env.MEMORY_STORE_PATH || null;
+
+let repository = null;
+
+/**
+ * Aktives Repository abrufen (lazy, Singleton)
+ * @returns {Object} Repository
+ */
+export function getRepository() {
+  if (repository) {
+    return repository;
+  }
+
+  switch (STORAGE_BACKEND) {
+    case 'supabase':
+      repository = createSupabaseRepository();
+      break;
+    case 'memory':
+      repository = createMemoryRepository({ persistPath: MEMORY_STORE_PATH });
+      break;
+    default:
+      throw new Error(`Unbekanntes STORAGE_BACKEND: ${STORAGE_BACKEND} (erlaubt: supabase, memory)`);
+  }
+
+  console.log(`✓ Storage-Backend: ${repository.name}`);
+  return repository;
+}
+
+export default getRepository;
@@ -0,0 +1,790 @@
+/**
+ * Memory-Adapter für das Storage-Repository
+ * Läuft komplett offline ohne Supabase-Projekt (Laptops, Testumgebungen).
+ * Optional als JSON-Datei persistiert (MEMORY_STORE_PATH).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { rankBySimilarity } from './similarity.js';
+import { DEFAULT_PROBLEM_STATUS } from '../utils/problemStatus.js';
+import { DEFAULT_WORKSPACE, isOwnedBy, isVisibleIn } from '../utils/workspaces.js';
+
+const TABLES = [
+  'problems',
+  'solutions',
+  'solution_votes',
+  'embeddings',
+  'solution_embeddings',
+  'problem_status_history',
+  'problem_revisions',
+  'embedding_jobs',
+  'api_keys',
+  'audit_logs'
+];
+
+// Tabellen ohne updated_at
+const TABLES_WITHOUT_UPDATED_AT = ['problem_status_history', 'problem_revisions', 'api_keys', 'audit_logs'];
+
+// Felder, deren Fassungen in problem_revisions landen
+const REVISED_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * Memory-Repository erstellen
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.persistPath] - JSON-Datei für Persistenz (optional)
+ * @returns {Object} Repository (siehe repositories/index.js)
+ */
+export function createMemoryRepository({ persistPath = null } = {}) {
+  const db = loadStore(persistPath);
+
+  /**
+   * Snapshot nach jeder Mutation schreiben (synchron, damit beim
+   * Shutdown via process.exit nichts verloren geht)
+   */
+  function persist() {
+    if (!persistPath) return;
+    fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+    fs.writeFileSync(persistPath, JSON.stringify(db));
+  }
+
+  function insertRow(table, values) {
+    const now = new Date().toISOString();
+    const row = { id: randomUUID(), ...values, created_at: now };
+    if (!TABLES_WITHOUT_UPDATED_AT.includes(table)) row.updated_at = now;
+    db[table].push(row);
+    persist();
+    return { ...row };
+  }
+
+  function solutionsOf(problemId) {
+    return db.solutions
+      .filter(s => s.problem_id === problemId)
+      .sort(byCreatedAt)
+      .map(s => ({ ...s }));
+  }
+
+  /**
+   * Prüft, ob ein Problem im Status- und Workspace-Filter liegt (null = kein Filter)
+   * Gelöschte Probleme (Papierkorb) passen nur mit trashed = true, dann nur eigene.
+   */
+  function matchesProblem(problemId, { status = null, workspace = null, trashed = false } = {}) {
+    const problem = db.problems.find(p => p.id === problemId);
+    return Boolean(problem) &&
+      Boolean(problem.deleted_at) === trashed &&
+      (!status || status.includes(problem.status || DEFAULT_PROBLEM_STATUS)) &&
+      (!workspace || (trashed ? isOwnedBy(problem, workspace) : isVisibleIn(problem, workspace)));
+  }
+
+  /**
+   * Embedding-Zeile stammt vom gefilterten Modell (ohne filters.model: alle)
+   */
+  function matchesModel(row, { model = null } = {}) {
+    return !model || row.model_name === model;
+  }
+
+  /**
+   * problems.solution_count pflegen (bildet den Trigger aus dem Schema nach)
+   */
+  function adjustSolutionCount(problemId, delta) {
+    const problem = db.problems.find(p => p.id === problemId);
+    if (problem) {
+      problem.solution_count = (problem.solution_count || 0) + delta;
+      problem.updated_at = new Date().toISOString();
+    }
+    persist();
+  }
+
+  /**
+   * problems.embedding_status auf 'ready' setzen (bildet den Trigger auf embeddings nach)
+   */
+  function markEmbeddingReady(problemId) {
+    const problem = db.problems.find(p => p.id === problemId);
+    if (problem && problem.embedding_status !== 'ready') {
+      problem.embedding_status = 'ready';
+      problem.updated_at = new Date().toISOString();
+    }
+  }
+
+  const problems = {
+    async create({ title, description, tags, workspace_id }) {
+      return insertRow('problems', {
+        title,
+        description,
+        tags: tags || [],
+        status: DEFAULT_PROBLEM_STATUS,
+        solution_count: 0,
+        workspace_id: workspace_id || DEFAULT_WORKSPACE,
+        shared_with: [],
+        deleted_at: null,
+        deleted_by: null,
+        embedding_status: 'pending'
+      });
+    },
+
+    async findById(id, { withSolutions = false } = {}) {
+      const problem = db.problems.find(p => p.id === id);
+      if (!problem) return null;
+      return withSolutions
+        ? { ...problem, solutions: solutionsOf(id) }
+        : { ...problem };
+    },
+
+    async findByIdsWithSolutions(ids) {
+      return db.problems
+        .filter(p => ids.includes(p.id))
+        .map(p => ({ ...p, solutions: solutionsOf(p.id) }));
+    },
+
+    async list({ limit = 50, offset = 0, filters = {}, sort = 'created_at', order = 'desc', after = null } = {}) {
+      const rows = db.problems
+        .filter(p => matchesProblem(p.id, filters))
+        .filter(p => matchesListFilters(p, filters));
+
+      return keyset(rows, { sort, order, after })
+        .slice(offset, offset + limit)
+        .map(p => ({ ...p }));
+    },
+
+    async count({ filters = {} } = {}) {
+      return db.problems
+        .filter(p => matchesProblem(p.id, filters))
+        .filter(p => matchesListFilters(p, filters))
+        .length;
+    },
+
+    async update(id, changes) {
+      const problem = db.problems.find(p => p.id === id);
+      if (!problem) return null;
+      Object.assign(problem, changes, { updated_at: new Date().toISOString() });
+      persist();
+      return { ...problem };
+    },
+
+    async delete(id) {
+      const before = db.problems.length;
+      db.problems = db.problems.filter(p => p.id !== id);
+      // ON DELETE CASCADE nachbilden
+      const solutionIds = new Set(db.solutions.filter(s => s.problem_id === id).map(s => s.id));
+      db.solutions = db.solutions.filter(s => s.problem_id !== id);
+      db.solution_votes = db.solution_votes.filter(v => !solutionIds.has(v.solution_id));
+      db.embeddings = db.embeddings.filter(e => e.problem_id !== id);
+      db.solution_embeddings = db.solution_embeddings.filter(e => e.problem_id !== id);
+      db.problem_status_history = db.problem_status_history.filter(h => h.problem_id !== id);
+      db.problem_revisions = db.problem_revisions.filter(r => r.problem_id !== id);
+      db.embedding_jobs = db.embedding_jobs.filter(j => j.problem_id !== id);
+      persist();
+      return db.problems.length < before;
+    },
+
+    async purgeTrash({ workspace = null, deletedBefore = null } = {}) {
+      const ids = db.problems
+        .filter(p => p.deleted_at && (!deletedBefore || p.deleted_at < deletedBefore))
+        .filter(p => !workspace || isOwnedBy(p, workspace))
+        .map(p => p.id);
+
+      for (const id of ids) {
+        await problems.delete(id);
+      }
+      return ids;
+    },
+
+    async transitionStatus(id, { from, to, changedBy, comment = null }) {
+      const problem = db.problems.find(p => p.id === id);
+      if (!problem || (problem.status || DEFAULT_PROBLEM_STATUS) !== from) return null;
+
+      Object.assign(problem, { status: to, updated_at: new Date().toISOString() });
+      insertRow('problem_status_history', {
+        problem_id: id,
+        from_status: from,
+        to_status: to,
+        changed_by: changedBy,
+        comment
+      });
+      return { ...problem };
+    },
+
+    // Entspricht der RPC revise_problem
+    async revise(id, changes, { changedBy = null, revertedFrom = null } = {}) {
+      const problem = db.problems.find(p => p.id === id);
+      if (!problem) return null;
+
+      const fields = REVISED_FIELDS.filter(field =>
+        changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(problem[field])
+      );
+      if (fields.length === 0) return { ...problem };
+
+      const revisionsOf = db.problem_revisions.filter(r => r.problem_id === id);
+      let latest = Math.max(0, ...revisionsOf.map(r => r.version));
+
+      if (latest === 0) {
+        db.problem_revisions.push({
+          id: randomUUID(),
+          problem_id: id,
+          version: 1,
+          title: problem.title,
+          description: problem.description,
+          tags: problem.tags,
+          changed_fields: [],
+          changed_by: null,
+          reverted_from: null,
+          created_at: problem.created_at
+        });
+        latest = 1;
+      }
+
+      fields.forEach(field => { problem[field] = changes[field]; });
+      problem.updated_at = new Date().toISOString();
+
+      insertRow('problem_revisions', {
+        problem_id: id,
+        version: latest + 1,
+        title: problem.title,
+        description: problem.description,
+        tags: problem.tags,
+        changed_fields: fields,
+        changed_by: changedBy,
+        reverted_from: revertedFrom
+      });
+      return { ...problem };
+    },
+
+    async searchFullText(query, { limit = 20, filters = {} } = {}) {
+      const terms = tokenize(query);
+      if (terms.length === 0) return [];
+
+      return db.problems
+        .filter(p => matchesProblem(p.id, filters))
+        .map(p => {
+          const words = tokenize(`${p.title} ${p.description}`);
+          const hits = terms.filter(term => words.includes(term)).length;
+          return { problem_id: p.id, rank: hits / terms.length };
+        })
+        .filter(match => match.rank > 0)
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit);
+    }
+  };
+
+  const solutions = {
+    async create({ problem_id, description, source, workspace_id }) {
+      if (!db.problems.some(p => p.id === problem_id)) {
+        throw foreignKeyError('solutions.problem_id');
+      }
+      const solution = insertRow('solutions', {
+        problem_id,
+        description,
+        source,
+        workspace_id: workspace_id || DEFAULT_WORKSPACE,
+        is_accepted: false,
+        upvotes: 0,
+        downvotes: 0,
+        legacy_upvotes: 0,
+        legacy_downvotes: 0
+      });
+      adjustSolutionCount(problem_id, 1);
+      return solution;
+    },
+
+    async list({ limit = 50, offset = 0, after = null } = {}) {
+      return keyset(db.solutions, { sort: 'created_at', order: 'asc', after })
+        .slice(offset, offset + limit)
+        .map(s => ({ ...s }));
+    },
+
+    async listByProblemId(problemId, { limit = null, order = 'asc', after = null } = {}) {
+      const rows = keyset(db.solutions.filter(s => s.problem_id === problemId), {
+        sort: 'created_at',
+        order,
+        after
+      });
+
+      return (limit ? rows.slice(0, limit) : rows).map(s => ({ ...s }));
+    },
+
+    async countByProblemId(problemId) {
+      return db.solutions.filter(s => s.problem_id === problemId).length;
+    },
+
+    async findById(id) {
+      const solution = db.solutions.find(s => s.id === id);
+      return solution ? { ...solution } : null;
+    },
+
+    async update(id, changes) {
+      const solution = db.solutions.find(s => s.id === id);
+      if (!solution) return null;
+      Object.assign(solution, changes, { updated_at: new Date().toISOString() });
+      persist();
+      return { ...solution };
+    },
+
+    async delete(id) {
+      const solution = db.solutions.find(s => s.id === id);
+      if (!solution) return false;
+
+      db.solutions = db.solutions.filter(s => s.id !== id);
+      db.solution_votes = db.solution_votes.filter(v => v.solution_id !== id);
+      db.solution_embeddings = db.solution_embeddings.filter(e => e.solution_id !== id);
+      adjustSolutionCount(solution.problem_id, -1);
+      return true;
+    },
+
+    async setAccepted(id, accepted) {
+      const solution = db.solutions.find(s => s.id === id);
+      if (!solution) return null;
+
+      const now = new Date().toISOString();
+      if (accepted) {
+        // Maximal eine akzeptierte Lösung pro Problem
+        db.solutions
+          .filter(s => s.problem_id === solution.problem_id && s.id !== id && s.is_accepted)
+          .forEach(s => Object.assign(s, { is_accepted: false, updated_at: now }));
+      }
+      Object.assign(solution, { is_accepted: accepted, updated_at: now });
+      persist();
+      return { ...solution };
+    },
+
+    async vote(id, userId, direction) {
+      const solution = db.solutions.find(s => s.id === id);
+      if (!solution) return null;
+
+      // Eine Stimme pro User (wie PRIMARY KEY (solution_id, user_id) in vote_solution)
+      const now = new Date().toISOString();
+      const existing = db.solution_votes.find(v => v.solution_id === id && v.user_id === userId);
+      if (!existing) {
+        db.solution_votes.push({ solution_id: id, user_id: userId, direction, created_at: now, updated_at: now });
+      } else if (existing.direction !== direction) {
+        Object.assign(existing, { direction, updated_at: now });
+      }
+
+      // Zähler = Sockel aus der Zeit vor solution_votes + Stimmen
+      const votes = db.solution_votes.filter(v => v.solution_id === id);
+      Object.assign(solution, {
+        upvotes: (solution.legacy_upvotes || 0) + votes.filter(v => v.direction === 'up').length,
+        downvotes: (solution.legacy_downvotes || 0) + votes.filter(v => v.direction === 'down').length,
+        updated_at: now
+      });
+      persist();
+      return { ...solution };
+    }
+  };
+
+  const embeddings = {
+    async upsert({ problem_id, model_name, workspace_id = DEFAULT_WORKSPACE, chunks }) {
+      if (!db.problems.some(p => p.id === problem_id)) {
+        throw foreignKeyError('embeddings.problem_id');
+      }
+
+      markEmbeddingReady(problem_id);
+
+      const isOwnChunk = e => e.problem_id === problem_id && e.model_name === model_name;
+      const rows = chunks.map(({ chunk_index, chunk_start, chunk_length, vector }) => {
+        const existing = db.embeddings.find(e => isOwnChunk(e) && (e.chunk_index ?? 0) === chunk_index);
+        if (!existing) {
+          return insertRow('embeddings', { problem_id, vector, model_name, workspace_id, chunk_index, chunk_start, chunk_length });
+        }
+
+        Object.assign(existing, { vector, workspace_id, chunk_index, chunk_start, chunk_length, updated_at: new Date().toISOString() });
+        return { ...existing };
+      });
+
+      // Überzählige Chunks einer früheren, längeren Fassung entfernen
+      db.embeddings = db.embeddings.filter(e => !isOwnChunk(e) || (e.chunk_index ?? 0) < chunks.length);
+      persist();
+      return rows;
+    },
+
+    async listByProblemIds(problemIds) {
+      return db.embeddings
+        .filter(e => problemIds.includes(e.problem_id))
+        .map(({ problem_id, model_name, chunk_index = 0, updated_at }) => ({ problem_id, model_name, chunk_index, updated_at }));
+    },
+
+    async deleteAll({ model = null } = {}) {
+      const count = db.embeddings.length;
+      db.embeddings = model ? db.embeddings.filter(e => e.model_name !== model) : [];
+      persist();
+      return count - db.embeddings.length;
+    },
+
+    async searchSimilar(vector, { limit = 5, threshold = 0.1, filters = {} } = {}) {
+      const rows = db.embeddings.filter(e => matchesModel(e, filters) && matchesProblem(e.problem_id, filters));
+      return rankBySimilarity(rows, vector, limit, threshold, { bestChunkPerProblem: true });
+    }
+  };
+
+  const solutionEmbeddings = {
+    async upsert({ solution_id, problem_id, vector, model_name, workspace_id = DEFAULT_WORKSPACE }) {
+      if (!db.solutions.some(s => s.id === solution_id)) {
+        throw foreignKeyError('solution_embeddings.solution_id');
+      }
+
+      const existing = db.solution_embeddings.find(e => e.solution_id === solution_id && e.model_name === model_name);
+      if (!existing) {
+        return insertRow('solution_embeddings', { solution_id, problem_id, vector, model_name, workspace_id });
+      }
+
+      Object.assign(existing, { vector, workspace_id, updated_at: new Date().toISOString() });
+      persist();
+      return { ...existing };
+    },
+
+    async listBySolutionIds(solutionIds) {
+      return db.solution_embeddings
+        .filter(e => solutionIds.includes(e.solution_id))
+        .map(({ solution_id, model_name, updated_at }) => ({ solution_id, model_name, updated_at }));
+    },
+
+    async searchSimilar(vector, { limit = 20, threshold = 0.1, filters = {} } = {}) {
+      const rows = db.solution_embeddings.filter(e => matchesModel(e, filters) && matchesProblem(e.problem_id, filters));
+      return rankBySimilarity(rows, vector, limit, threshold);
+    }
+  };
+
+  const tags = {
+    async list({ prefix = null, limit = 50, workspace = null } = {}) {
+      const counts = new Map();
+      db.problems
+        .filter(p => !p.deleted_at)
+        .filter(p => !workspace || isOwnedBy(p, workspace))
+        .forEach(p => (p.tags || []).forEach(tag => {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }));
+
+      return [...counts.entries()]
+        .filter(([tag]) => !prefix || tag.startsWith(prefix))
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+    },
+
+    async replace(fromTags, toTag, { workspace = null } = {}) {
+      const affected = db.problems
+        .filter(p => !workspace || isOwnedBy(p, workspace))
+        .filter(p => (p.tags || []).some(tag => fromTags.includes(tag)));
+      const now = new Date().toISOString();
+
+      affected.forEach(p => {
+        const replaced = p.tags.map(tag => (fromTags.includes(tag) ? toTag : tag));
+        Object.assign(p, { tags: [...new Set(replaced)], updated_at: now });
+      });
+
+      persist();
+      return affected.length;
+    }
+  };
+
+  const statusHistory = {
+    async listByProblemId(problemId) {
+      return db.problem_status_history
+        .filter(h => h.problem_id === problemId)
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(h => ({ ...h }));
+    }
+  };
+
+  const revisions = {
+    async listByProblemId(problemId) {
+      return db.problem_revisions
+        .filter(r => r.problem_id === problemId)
+        .sort((a, b) => b.version - a.version)
+        .map(r => ({ ...r }));
+    },
+
+    async findByVersion(problemId, version) {
+      const revision = db.problem_revisions.find(r => r.problem_id === problemId && r.version === version);
+      return revision ? { ...revision } : null;
+    },
+
+    async listByProblemIds(problemIds) {
+      return db.problem_revisions
+        .filter(r => problemIds.includes(r.problem_id))
+        .map(({ problem_id, version, changed_fields, created_at }) => ({ problem_id, version, changed_fields, created_at }));
+    }
+  };
+
+  const embeddingJobs = {
+    async create({ problem_id, workspace_id = DEFAULT_WORKSPACE, max_attempts = 5 }) {
+      if (!db.problems.some(p => p.id === problem_id)) {
+        throw foreignKeyError('embedding_jobs.problem_id');
+      }
+
+      return insertRow('embedding_jobs', {
+        problem_id,
+        workspace_id,
+        status: 'pending',
+        attempts: 0,
+        max_attempts,
+        last_error: null,
+        run_at: new Date().toISOString(),
+        started_at: null,
+        completed_at: null
+      });
+    },
+
+    async findById(id) {
+      const job = db.embedding_jobs.find(j => j.id === id);
+      return job ? { ...job } : null;
+    },
+
+    async findPendingByProblemId(problemId) {
+      const job = db.embedding_jobs
+        .filter(j => j.problem_id === problemId && j.status === 'pending')
+        .sort(byCreatedAt)[0];
+      return job ? { ...job } : null;
+    },
+
+    async update(id, changes) {
+      const job = db.embedding_jobs.find(j => j.id === id);
+      if (!job) return null;
+      Object.assign(job, changes, { updated_at: new Date().toISOString() });
+      persist();
+      return { ...job };
+    },
+
+    // Entspricht der RPC claim_embedding_job
+    async claimNext() {
+      const now = new Date().toISOString();
+      const job = db.embedding_jobs
+        .filter(j => j.status === 'pending' && j.run_at <= now)
+        .sort((a, b) => a.run_at.localeCompare(b.run_at) || byCreatedAt(a, b))[0];
+      if (!job) return null;
+
+      Object.assign(job, { status: 'running', attempts: job.attempts + 1, started_at: now, updated_at: now });
+      persist();
+      return { ...job };
+    },
+
+    async retry(id) {
+      const job = db.embedding_jobs.find(j => j.id === id && j.status === 'failed');
+      if (!job) return null;
+
+      const now = new Date().toISOString();
+      Object.assign(job, { status: 'pending', attempts: 0, run_at: now, completed_at: null, updated_at: now });
+      persist();
+      return { ...job };
+    },
+
+    // Entspricht der RPC recover_embedding_jobs
+    async recover() {
+      const now = new Date().toISOString();
+      const jobs = db.embedding_jobs.filter(j => j.status === 'running');
+
+      jobs.forEach(job => {
+        Object.assign(job, { status: 'pending', run_at: now, completed_at: null, updated_at: now });
+      });
+
+      persist();
+      return jobs.length;
+    }
+  };
+
+  function matchingAuditLogs({ userId, actions, resource, resourceId, workspaceId, statusFrom, statusTo, from, to }) {
+    return db.audit_logs
+      .filter(log => !workspaceId || log.workspace_id === workspaceId)
+      .filter(log => !userId || log.user_id === userId)
+      .filter(log => !actions?.length || actions.includes(log.action))
+      .filter(log => !resource || log.resource === resource)
+      .filter(log => !resourceId || log.resource_id === resourceId)
+      .filter(log => !statusFrom || log.response_status >= statusFrom)
+      .filter(log => !statusTo || log.response_status <= statusTo)
+      .filter(log => !from || log.created_at >= from)
+      .filter(log => !to || log.created_at <= to);
+  }
+
+  const apiKeys = {
+    async create(entry) {
+      return insertRow('api_keys', { revoked_at: null, last_used_at: null, expires_at: null, ...entry });
+    },
+
+    async findByHash(keyHash) {
+      const key = db.api_keys.find(k => k.key_hash === keyHash);
+      return key ? { ...key } : null;
+    },
+
+    async touch(id) {
+      const key = db.api_keys.find(k => k.id === id);
+      if (key) {
+        key.last_used_at = new Date().toISOString();
+        persist();
+      }
+    }
+  };
+
+  const auditLogs = {
+    async create(entry) {
+      insertRow('audit_logs', entry);
+    },
+
+    async list({ limit = 50, order = 'desc', after = null, ...criteria } = {}) {
+      return keyset(matchingAuditLogs(criteria), { sort: 'created_at', order, after })
+        .slice(0, limit)
+        .map(log => ({ ...log }));
+    },
+
+    async count(criteria = {}) {
+      return matchingAuditLogs(criteria).length;
+    },
+
+    // Entspricht der View recent_user_activity (letzte 7 Tage)
+    async activity({ workspaceId, userId, limit = 100 } = {}) {
+      const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      const groups = new Map();
+
+      matchingAuditLogs({ workspaceId, userId, from: since }).forEach(log => {
+        const key = [log.workspace_id, log.user_id, log.action, log.resource].join('\u0000');
+        const group = groups.get(key) || {
+          user_id: log.user_id,
+          action: log.action,
+          resource: log.resource,
+          action_count: 0,
+          last_action: log.created_at,
+          workspace_id: log.workspace_id
+        };
+        group.action_count++;
+        if (log.created_at > group.last_action) group.last_action = log.created_at;
+        groups.set(key, group);
+      });
+
+      return [...groups.values()]
+        .sort((a, b) => b.last_action.localeCompare(a.last_action))
+        .slice(0, limit);
+    }
+  };
+
+  return {
+    name: 'memory',
+    description: persistPath ? `In-Memory (persistiert in ${persistPath})` : 'In-Memory (flüchtig)',
+
+    async ping() {
+      // Immer erreichbar
+    },
+
+    problems,
+    solutions,
+    embeddings,
+    solutionEmbeddings,
+    tags,
+    statusHistory,
+    revisions,
+    embeddingJobs,
+    apiKeys,
+    auditLogs
+  };
+}
+
+/**
+ * Store aus JSON-Datei laden (oder leer initialisieren)
+ * @private
+ */
+function loadStore(persistPath) {
+  const empty = Object.fromEntries(TABLES.map(table => [table, []]));
+
+  if (!persistPath || !fs.existsSync(persistPath)) {
+    return empty;
+  }
+
+  const stored = JSON.parse(fs.readFileSync(persistPath, 'utf8'));
+  console.log(`✓ Memory-Store geladen aus ${persistPath}`);
+
+  // Einmalig wie im Schema: Zähler aus Stores ohne solution_votes werden zum Sockel
+  if (!stored.solution_votes) {
+    (stored.solutions || []).forEach(solution => {
+      solution.legacy_upvotes = solution.upvotes || 0;
+      solution.legacy_downvotes = solution.downvotes || 0;
+    });
+  }
+
+  return { ...empty, ...stored };
+}
+
+/**
+ * Sortierung nach created_at aufsteigend
+ * @private
+ */
+function byCreatedAt(a, b) {
+  return a.created_at.localeCompare(b.created_at);
+}
+
+/**
+ * Listen-Filter von problems.list anwenden (ohne Status)
+ * @private
+ */
+function matchesListFilters(problem, filters) {
+  const tags = problem.tags || [];
+
+  if (filters.tags?.length) {
+    const matches = filters.tagMode === 'all'
+      ? filters.tags.every(tag => tags.includes(tag))
+      : filters.tags.some(tag => tags.includes(tag));
+    if (!matches) return false;
+  }
+
+  if (filters.createdFrom && problem.created_at < filters.createdFrom) return false;
+  if (filters.createdTo && problem.created_at > filters.createdTo) return false;
+  if (filters.updatedFrom && problem.updated_at < filters.updatedFrom) return false;
+  if (filters.updatedTo && problem.updated_at > filters.updatedTo) return false;
+
+  if (filters.q) {
+    // Präfix-Match als grober Ersatz für das german-Stemming von Postgres
+    const words = tokenize(`${problem.title} ${problem.description}`);
+    const found = tokenize(filters.q).every(term => words.some(word => word.startsWith(term)));
+    if (!found) return false;
+  }
+
+  if (filters.hasSolutions !== undefined && filters.hasSolutions !== null) {
+    if ((problem.solution_count || 0) > 0 !== filters.hasSolutions) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Nach (Sortierfeld, ID) sortieren und optional erst nach `after` beginnen
+ * (Keyset-Pagination wie applyKeyset im Supabase-Adapter)
+ * @private
+ */
+function keyset(rows, { sort, order, after }) {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => direction * (compareField(a[sort], b[sort]) || a.id.localeCompare(b.id));
+
+  const sorted = [...rows].sort(compare);
+  return after
+    ? sorted.filter(row => compare(row, { [sort]: after.value, id: after.id }) > 0)
+    : sorted;
+}
+
+/**
+ * Zwei Feldwerte vergleichen (Zahlen numerisch, sonst als String)
+ * @private
+ */
+function compareField(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''));
+}
+
+/**
+ * Text in Suchbegriffe zerlegen (einfacher Ersatz für to_tsvector)
+ * Bindestriche bleiben erhalten, damit Codes wie ORA-12154 ganz matchen.
+ * @private
+ */
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}_-]+/u).filter(Boolean);
+}
+
+/**
+ * Fehler im Format einer Postgres Foreign-Key-Verletzung
+ * @private
+ */
+function foreignKeyError(column) {
+  const err = new Error(`insert violates foreign key constraint on ${column}`);
+  err.code = '23503';
+  return err;
+}
+
+export default createMemoryRepository;
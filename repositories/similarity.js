@@ -0,0 +1,65 @@
+/**
+ * In-Process Vektor-Ranking
+ * Für den Supabase-Fallback (ohne pgvector) und den Memory-Adapter
+ */
+
+import { cosineSimilarity } from '../embeddingService.js';
+
+/**
+ * Embedding-Zeilen nach Cosine-Similarity ranken (In-Process)
+ * @param {Array<Object>} rows - Zeilen mit problem_id (optional solution_id, Chunk-Spalten) und vector
+ * @param {Array<number>} queryEmbedding - Query-Vektor
+ * @param {number} limit - Max. Anzahl
+ * @param {number} threshold - Min. Similarity
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.bestChunkPerProblem=false] - Nur den besten Chunk je Problem behalten
+ * @returns {Array<{problem_id: string, solution_id?: string, chunk_index?: number, similarity: number}>} Top-Matches
+ */
+export function rankBySimilarity(rows, queryEmbedding, limit, threshold, { bestChunkPerProblem = false } = {}) {
+  const similarities = rows.map(row => {
+    try {
+      let dbVector = row.vector;
+
+      // Falls String (pgvector-Format "[0.1, 0.2, ...]"), parsen
+      if (typeof dbVector === 'string') {
+        dbVector = JSON.parse(dbVector);
+      }
+
+      if (!Array.isArray(dbVector)) {
+        console.warn(`⚠️ Embedding für Problem ${row.problem_id} ist kein Array`);
+        return null;
+      }
+
+      if (dbVector.length !== queryEmbedding.length) {
+        console.warn(`⚠️ Vektorlänge stimmt nicht überein: DB=${dbVector.length}, Query=${queryEmbedding.length}`);
+        return null;
+      }
+
+      return {
+        problem_id: row.problem_id,
+        ...(row.solution_id && { solution_id: row.solution_id }),
+        ...(bestChunkPerProblem && {
+          chunk_index: row.chunk_index ?? 0,
+          chunk_start: row.chunk_start ?? 0,
+          chunk_length: row.chunk_length ?? null
+        }),
+        similarity: cosineSimilarity(queryEmbedding, dbVector)
+      };
+    } catch (error) {
+      console.error(`✗ Fehler bei Similarity-Berechnung für Problem ${row.problem_id}:`, error.message);
+      return null;
+    }
+  }).filter(s => s !== null); // Fehlerhafte Embeddings ausfiltern
+
+  // Nach Similarity sortieren und filtern
+  const ranked = similarities
+    .filter(item => item.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  // Problem nach seinem besten Chunk bewerten (erster Treffer nach Sortierung)
+  const seen = new Set();
+  return (bestChunkPerProblem
+    ? ranked.filter(item => !seen.has(item.problem_id) && seen.add(item.problem_id))
+    : ranked
+  ).slice(0, limit);
+}
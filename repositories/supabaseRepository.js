@@ -0,0 +1,805 @@
+/**
+ * Supabase-Adapter für das Storage-Repository
+ * PostgreSQL + pgvector über den Supabase-Client
+ */
+
+import { supabase } from '../supabaseClient.js';
+import { rankBySimilarity } from './similarity.js';
+
+// Vektor-Suche: 'pgvector' (RPC search_similar_problems, Default) oder
+// 'client' (Similarity in Node.js, nur für supabase_schema_fallback.sql)
+const VECTOR_SEARCH_MODE = process.env.VECTOR_SEARCH_MODE || 'pgvector';
+
+// Spalten von problems ohne die generierte Spalte search_vector
+const PROBLEM_COLUMNS = 'id, title, description, tags, status, solution_count, workspace_id, shared_with, deleted_at, deleted_by, embedding_status, created_at, updated_at';
+
+/**
+ * Supabase-Fehler in Error mit Kontext umwandeln (Postgres-Code bleibt erhalten)
+ * @private
+ */
+function fail(context, error) {
+  const err = new Error(`${context}: ${error.message}`);
+  err.code = error.code;
+  throw err;
+}
+
+/**
+ * Wert für PostgREST-Filter in or() quoten (Kommas, Klammern, Doppelpunkte)
+ * @private
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Keyset-Bedingung: Einträge strikt nach (Sortierwert, ID) in Sortierrichtung
+ * @private
+ */
+function applyKeyset(query, column, order, after) {
+  if (!after) return query;
+
+  const op = order === 'asc' ? 'gt' : 'lt';
+  const value = quoteFilterValue(after.value);
+  return query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${after.id})`);
+}
+
+/**
+ * or()-Bedingung: Problem gehört dem Workspace oder ist ihm freigegeben
+ * @private
+ */
+function visibleInWorkspace(workspace) {
+  return `workspace_id.eq.${quoteFilterValue(workspace)},shared_with.cs.{${workspace}}`;
+}
+
+/**
+ * Listen-Filter für problems anwenden (siehe utils/problemQuery.js)
+ * Gelöschte Probleme nur mit filters.trashed (dann nur eigene, nicht freigegebene)
+ * @private
+ */
+function applyProblemFilters(query, filters = {}) {
+  if (filters.trashed) {
+    query = query.not('deleted_at', 'is', null);
+    if (filters.workspace) query = query.eq('workspace_id', filters.workspace);
+  } else {
+    query = query.is('deleted_at', null);
+    if (filters.workspace) query = query.or(visibleInWorkspace(filters.workspace));
+  }
+  if (filters.status) query = query.in('status', filters.status);
+  if (filters.tags?.length) {
+    query = filters.tagMode === 'all'
+      ? query.contains('tags', filters.tags)
+      : query.overlaps('tags', filters.tags);
+  }
+  if (filters.createdFrom) query = query.gte('created_at', filters.createdFrom);
+  if (filters.createdTo) query = query.lte('created_at', filters.createdTo);
+  if (filters.updatedFrom) query = query.gte('updated_at', filters.updatedFrom);
+  if (filters.updatedTo) query = query.lte('updated_at', filters.updatedTo);
+  if (filters.q) {
+    query = query.textSearch('search_vector', filters.q, { config: 'german', type: 'websearch' });
+  }
+  if (filters.hasSolutions !== undefined && filters.hasSolutions !== null) {
+    query = filters.hasSolutions
+      ? query.gt('solution_count', 0)
+      : query.eq('solution_count', 0);
+  }
+  return query;
+}
+
+/**
+ * Filter für audit_logs anwenden
+ * @private
+ */
+function applyAuditFilters(query, {
+  userId, actions, resource, resourceId, workspaceId, statusFrom, statusTo, from, to
+} = {}) {
+  if (workspaceId) query = query.eq('workspace_id', workspaceId);
+  if (userId) query = query.eq('user_id', userId);
+  if (actions?.length) query = query.in('action', actions);
+  if (resource) query = query.eq('resource', resource);
+  if (resourceId) query = query.eq('resource_id', resourceId);
+  if (statusFrom) query = query.gte('response_status', statusFrom);
+  if (statusTo) query = query.lte('response_status', statusTo);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  return query;
+}
+
+/**
+ * Supabase-Repository erstellen
+ * @param {Object} [client=supabase] - Supabase-Client
+ * @returns {Object} Repository (siehe repositories/index.js)
+ */
+export function createSupabaseRepository(client = supabase) {
+  if (!client) {
+    throw new Error('SUPABASE_URL und SUPABASE_KEY müssen für STORAGE_BACKEND=supabase gesetzt sein');
+  }
+
+  const problems = {
+    async create({ title, description, tags, workspace_id }) {
+      const { data, error } = await client
+        .from('problems')
+        .insert({ title, description, tags, workspace_id })
+        .select(PROBLEM_COLUMNS)
+        .single();
+
+      if (error) fail('Fehler beim Einfügen des Problems', error);
+      return data;
+    },
+
+    async findById(id, { withSolutions = false } = {}) {
+      const { data, error } = await client
+        .from('problems')
+        .select(withSolutions ? `${PROBLEM_COLUMNS}, solutions (*)` : PROBLEM_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen des Problems', error);
+      return data;
+    },
+
+    async findByIdsWithSolutions(ids) {
+      const { data, error } = await client
+        .from('problems')
+        .select(`
+          id,
+          title,
+          description,
+          tags,
+          status,
+          workspace_id,
+          shared_with,
+          created_at,
+          solutions (
+            id,
+            description,
+            source,
+            is_accepted,
+            upvotes,
+            downvotes,
+            created_at
+          )
+        `)
+        .in('id', ids);
+
+      if (error) fail('Fehler beim Abrufen der Probleme', error);
+      return data;
+    },
+
+    async list({ limit = 50, offset = 0, filters = {}, sort = 'created_at', order = 'desc', after = null } = {}) {
+      let query = applyProblemFilters(client.from('problems').select(PROBLEM_COLUMNS), filters);
+      query = applyKeyset(query, sort, order, after);
+
+      const { data, error } = await query
+        .order(sort, { ascending: order === 'asc' })
+        .order('id', { ascending: order === 'asc' }) // Stabile Reihenfolge bei Gleichstand
+        .range(offset, offset + limit - 1);
+
+      if (error) fail('Fehler beim Abrufen der Probleme', error);
+      return data;
+    },
+
+    async count({ filters = {}, estimated = false } = {}) {
+      const { count, error } = await applyProblemFilters(
+        client.from('problems').select('id', { count: estimated ? 'estimated' : 'exact', head: true }),
+        filters
+      );
+
+      if (error) fail('Fehler beim Zählen der Probleme', error);
+      return count;
+    },
+
+    async update(id, changes) {
+      const { data, error } = await client
+        .from('problems')
+        .update(changes)
+        .eq('id', id)
+        .select(PROBLEM_COLUMNS)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Aktualisieren des Problems', error);
+      return data;
+    },
+
+    async delete(id) {
+      const { data, error } = await client
+        .from('problems')
+        .delete()
+        .eq('id', id)
+        .select('id');
+
+      if (error) fail('Fehler beim Löschen des Problems', error);
+      return data.length > 0;
+    },
+
+    async purgeTrash({ workspace = null, deletedBefore = null } = {}) {
+      let query = client
+        .from('problems')
+        .delete()
+        .not('deleted_at', 'is', null);
+
+      if (deletedBefore) query = query.lt('deleted_at', deletedBefore);
+      if (workspace) query = query.eq('workspace_id', workspace);
+
+      const { data, error } = await query.select('id');
+
+      if (error) fail('Fehler beim Leeren des Papierkorbs', error);
+      return data.map(row => row.id);
+    },
+
+    async transitionStatus(id, { from, to, changedBy, comment = null }) {
+      const { data, error } = await client
+        .rpc('transition_problem_status', {
+          p_problem_id: id,
+          p_from_status: from,
+          p_to_status: to,
+          p_changed_by: changedBy,
+          p_comment: comment
+        })
+        .select(PROBLEM_COLUMNS)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Ändern des Status', error);
+      return data;
+    },
+
+    async revise(id, { title, description, tags }, { changedBy = null, revertedFrom = null } = {}) {
+      const { data, error } = await client
+        .rpc('revise_problem', {
+          p_problem_id: id,
+          p_title: title ?? null,
+          p_description: description ?? null,
+          p_tags: tags ?? null,
+          p_changed_by: changedBy,
+          p_reverted_from: revertedFrom
+        })
+        .select(PROBLEM_COLUMNS)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Überarbeiten des Problems', error);
+      return data;
+    },
+
+    async searchFullText(query, { limit = 20, filters = {} } = {}) {
+      const { data, error } = await client.rpc('search_problems_fulltext', {
+        query_text: query,
+        match_count: limit,
+        filter_status: filters.status || null,
+        filter_workspace: filters.workspace || null
+      });
+
+      if (error) fail('Fehler bei der Volltext-Suche', error);
+      return data.map(match => ({
+        problem_id: match.problem_id,
+        rank: match.rank
+      }));
+    }
+  };
+
+  const solutions = {
+    async create({ problem_id, description, source, workspace_id }) {
+      const { data, error } = await client
+        .from('solutions')
+        .insert({ problem_id, description, source, workspace_id })
+        .select()
+        .single();
+
+      if (error) fail('Fehler beim Einfügen der Lösung', error);
+      return data;
+    },
+
+    async list({ limit = 50, offset = 0, after = null } = {}) {
+      const { data, error } = await applyKeyset(client.from('solutions').select('*'), 'created_at', 'asc', after)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) fail('Fehler beim Abrufen der Lösungen', error);
+      return data;
+    },
+
+    async listByProblemId(problemId, { limit = null, order = 'asc', after = null } = {}) {
+      let query = client
+        .from('solutions')
+        .select('*')
+        .eq('problem_id', problemId);
+
+      query = applyKeyset(query, 'created_at', order, after)
+        .order('created_at', { ascending: order === 'asc' })
+        .order('id', { ascending: order === 'asc' });
+
+      if (limit) query = query.limit(limit);
+
+      const { data, error } = await query;
+
+      if (error) fail('Fehler beim Abrufen der Lösungen', error);
+      return data;
+    },
+
+    async countByProblemId(problemId, { estimated = false } = {}) {
+      const { count, error } = await client
+        .from('solutions')
+        .select('id', { count: estimated ? 'estimated' : 'exact', head: true })
+        .eq('problem_id', problemId);
+
+      if (error) fail('Fehler beim Zählen der Lösungen', error);
+      return count;
+    },
+
+    async findById(id) {
+      const { data, error } = await client
+        .from('solutions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen der Lösung', error);
+      return data;
+    },
+
+    async update(id, changes) {
+      const { data, error } = await client
+        .from('solutions')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Aktualisieren der Lösung', error);
+      return data;
+    },
+
+    async delete(id) {
+      const { data, error } = await client
+        .from('solutions')
+        .delete()
+        .eq('id', id)
+        .select('id');
+
+      if (error) fail('Fehler beim Löschen der Lösung', error);
+      return data.length > 0;
+    },
+
+    async setAccepted(id, accepted) {
+      const { data, error } = await client
+        .rpc('set_solution_accepted', { p_solution_id: id, p_accepted: accepted })
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Akzeptieren der Lösung', error);
+      return data;
+    },
+
+    async vote(id, userId, direction) {
+      const { data, error } = await client
+        .rpc('vote_solution', { p_solution_id: id, p_user_id: userId, p_direction: direction })
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Bewerten der Lösung', error);
+      return data;
+    }
+  };
+
+  const embeddings = {
+    async upsert({ problem_id, model_name, workspace_id, chunks }) {
+      const { data, error } = await client
+        .from('embeddings')
+        .upsert(
+          chunks.map(chunk => ({ problem_id, model_name, workspace_id, ...chunk })),
+          { onConflict: 'problem_id,model_name,chunk_index' }
+        )
+        .select();
+
+      if (error) fail('Fehler beim Speichern des Embeddings', error);
+
+      // Überzählige Chunks einer früheren, längeren Fassung entfernen
+      const { error: deleteError } = await client
+        .from('embeddings')
+        .delete()
+        .eq('problem_id', problem_id)
+        .eq('model_name', model_name)
+        .gte('chunk_index', chunks.length);
+
+      if (deleteError) fail('Fehler beim Entfernen alter Embedding-Chunks', deleteError);
+      return data;
+    },
+
+    async listByProblemIds(problemIds) {
+      const { data, error } = await client
+        .from('embeddings')
+        .select('problem_id, model_name, chunk_index, updated_at')
+        .in('problem_id', problemIds);
+
+      if (error) fail('Fehler beim Abrufen der Embeddings', error);
+      return data;
+    },
+
+    async deleteAll({ model = null } = {}) {
+      let query = client
+        .from('embeddings')
+        .delete({ count: 'exact' })
+        .neq('id', '00000000-0000-0000-0000-000000000000'); // Löscht alle
+      if (model) query = query.eq('model_name', model);
+
+      const { error, count } = await query;
+
+      if (error) fail('Fehler beim Löschen der Embeddings', error);
+      return count;
+    },
+
+    searchSimilar(vector, { limit = 5, threshold = 0.1, filters = {} } = {}) {
+      return VECTOR_SEARCH_MODE === 'client'
+        ? searchSimilarInProcess(vector, limit, threshold, filters)
+        : searchSimilarWithPgvector(vector, limit, threshold, filters);
+    }
+  };
+
+  const solutionEmbeddings = {
+    async upsert({ solution_id, problem_id, vector, model_name, workspace_id }) {
+      const { data, error } = await client
+        .from('solution_embeddings')
+        .upsert({ solution_id, problem_id, vector, model_name, workspace_id }, { onConflict: 'solution_id,model_name' })
+        .select()
+        .single();
+
+      if (error) fail('Fehler beim Speichern des Lösungs-Embeddings', error);
+      return data;
+    },
+
+    async listBySolutionIds(solutionIds) {
+      const { data, error } = await client
+        .from('solution_embeddings')
+        .select('solution_id, model_name, updated_at')
+        .in('solution_id', solutionIds);
+
+      if (error) fail('Fehler beim Abrufen der Lösungs-Embeddings', error);
+      return data;
+    },
+
+    async searchSimilar(vector, { limit = 20, threshold = 0.1, filters = {} } = {}) {
+      if (VECTOR_SEARCH_MODE === 'client') {
+        const { data: rows, error } = await withProblemFilters(
+          client.from('solution_embeddings'),
+          'solution_id, problem_id, vector',
+          filters
+        );
+
+        if (error) fail('Fehler beim Abrufen der Lösungs-Embeddings', error);
+        return rankBySimilarity(rows, vector, limit, threshold);
+      }
+
+      const { data, error } = await client.rpc('search_similar_solutions', {
+        query_vector: vector,
+        match_threshold: threshold,
+        match_count: limit,
+        filter_status: filters.status || null,
+        filter_workspace: filters.workspace || null,
+        filter_model: filters.model || null
+      });
+
+      if (error) fail('Fehler bei der Vektor-Suche über Lösungen', error);
+      return data.map(match => ({
+        solution_id: match.solution_id,
+        problem_id: match.problem_id,
+        similarity: match.similarity
+      }));
+    }
+  };
+
+  /**
+   * Top-Matches per RPC search_similar_problems (pgvector, HNSW-Index)
+   */
+  async function searchSimilarWithPgvector(queryEmbedding, limit, threshold, filters) {
+    const { data: matches, error } = await client.rpc('search_similar_problems', {
+      query_vector: queryEmbedding,
+      match_threshold: threshold,
+      match_count: limit,
+      filter_status: filters.status || null,
+      filter_workspace: filters.workspace || null,
+      filter_model: filters.model || null
+    });
+
+    if (error) fail('Fehler bei der Vektor-Suche', error);
+
+    console.log(`✓ ${matches.length} Treffer von pgvector erhalten`);
+
+    return matches.map(match => ({
+      problem_id: match.problem_id,
+      chunk_index: match.chunk_index,
+      chunk_start: match.chunk_start,
+      chunk_length: match.chunk_length,
+      similarity: match.similarity
+    }));
+  }
+
+  /**
+   * Top-Matches in Node.js berechnen (Fallback ohne pgvector)
+   * Lädt ALLE Embeddings - nur für supabase_schema_fallback.sql gedacht!
+   */
+  async function searchSimilarInProcess(queryEmbedding, limit, threshold, filters) {
+    const { data: rows, error } = await withProblemFilters(
+      client.from('embeddings'),
+      'id, problem_id, chunk_index, chunk_start, chunk_length, vector',
+      filters
+    );
+
+    if (error) fail('Fehler beim Abrufen der Embeddings', error);
+
+    if (!rows || rows.length === 0) {
+      console.log('ℹ️ Keine Embeddings gefunden');
+      return [];
+    }
+
+    console.log(`✓ ${rows.length} Embeddings aus Datenbank abgerufen (In-Process-Fallback)`);
+    return rankBySimilarity(rows, queryEmbedding, limit, threshold, { bestChunkPerProblem: true });
+  }
+
+  /**
+   * Embedding-Abfrage auf aktive Probleme und optional auf Status, Workspace
+   * und Modell einschränken (Inner Join auf problems, nur für den In-Process-Fallback)
+   */
+  function withProblemFilters(table, columns, { status, workspace, model } = {}) {
+    let query = table
+      .select(`${columns}, problems!inner(status, workspace_id, shared_with, deleted_at)`)
+      .is('problems.deleted_at', null);
+    if (model) query = query.eq('model_name', model);
+    if (status) query = query.in('problems.status', status);
+    if (workspace) query = query.or(visibleInWorkspace(workspace), { referencedTable: 'problems' });
+    return query;
+  }
+
+  const tags = {
+    async list({ prefix = null, limit = 50, workspace = null } = {}) {
+      const { data, error } = await client.rpc('list_tags', {
+        tag_prefix: prefix,
+        match_count: limit,
+        filter_workspace: workspace
+      });
+
+      if (error) fail('Fehler beim Abrufen der Tags', error);
+      return data.map(row => ({ tag: row.tag, count: Number(row.usage_count) }));
+    },
+
+    async replace(fromTags, toTag, { workspace = null } = {}) {
+      const { data, error } = await client.rpc('replace_tags', {
+        p_from: fromTags,
+        p_to: toTag,
+        p_workspace: workspace
+      });
+
+      if (error) fail('Fehler beim Ersetzen der Tags', error);
+      return data;
+    }
+  };
+
+  const statusHistory = {
+    async listByProblemId(problemId) {
+      const { data, error } = await client
+        .from('problem_status_history')
+        .select('*')
+        .eq('problem_id', problemId)
+        .order('created_at', { ascending: false });
+
+      if (error) fail('Fehler beim Abrufen der Status-Historie', error);
+      return data;
+    }
+  };
+
+  const revisions = {
+    async listByProblemId(problemId) {
+      const { data, error } = await client
+        .from('problem_revisions')
+        .select('*')
+        .eq('problem_id', problemId)
+        .order('version', { ascending: false });
+
+      if (error) fail('Fehler beim Abrufen der Revisionen', error);
+      return data;
+    },
+
+    async findByVersion(problemId, version) {
+      const { data, error } = await client
+        .from('problem_revisions')
+        .select('*')
+        .eq('problem_id', problemId)
+        .eq('version', version)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen der Revision', error);
+      return data;
+    },
+
+    async listByProblemIds(problemIds) {
+      const { data, error } = await client
+        .from('problem_revisions')
+        .select('problem_id, version, changed_fields, created_at')
+        .in('problem_id', problemIds);
+
+      if (error) fail('Fehler beim Abrufen der Revisionen', error);
+      return data;
+    }
+  };
+
+  const embeddingJobs = {
+    async create({ problem_id, workspace_id, max_attempts }) {
+      const { data, error } = await client
+        .from('embedding_jobs')
+        .insert({ problem_id, workspace_id, max_attempts })
+        .select()
+        .single();
+
+      if (error) fail('Fehler beim Anlegen des Embedding-Jobs', error);
+      return data;
+    },
+
+    async findById(id) {
+      const { data, error } = await client
+        .from('embedding_jobs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen des Embedding-Jobs', error);
+      return data;
+    },
+
+    async findPendingByProblemId(problemId) {
+      const { data, error } = await client
+        .from('embedding_jobs')
+        .select('*')
+        .eq('problem_id', problemId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen des Embedding-Jobs', error);
+      return data;
+    },
+
+    async update(id, changes) {
+      const { data, error } = await client
+        .from('embedding_jobs')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Aktualisieren des Embedding-Jobs', error);
+      return data;
+    },
+
+    async claimNext() {
+      const { data, error } = await client
+        .rpc('claim_embedding_job')
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Übernehmen des Embedding-Jobs', error);
+      return data;
+    },
+
+    async retry(id) {
+      const { data, error } = await client
+        .from('embedding_jobs')
+        .update({ status: 'pending', attempts: 0, run_at: new Date().toISOString(), completed_at: null })
+        .eq('id', id)
+        .eq('status', 'failed')
+        .select()
+        .maybeSingle();
+
+      if (error) fail('Fehler beim erneuten Einreihen des Embedding-Jobs', error);
+      return data;
+    },
+
+    async recover() {
+      const { data, error } = await client.rpc('recover_embedding_jobs');
+
+      if (error) fail('Fehler beim Wiederaufnehmen der Embedding-Jobs', error);
+      return data;
+    }
+  };
+
+  const apiKeys = {
+    async create(entry) {
+      const { data, error } = await client
+        .from('api_keys')
+        .insert(entry)
+        .select()
+        .single();
+
+      if (error) fail('Fehler beim Speichern des API-Keys', error);
+      return data;
+    },
+
+    async findByHash(keyHash) {
+      const { data, error } = await client
+        .from('api_keys')
+        .select('*')
+        .eq('key_hash', keyHash)
+        .maybeSingle();
+
+      if (error) fail('Fehler beim Abrufen des API-Keys', error);
+      return data;
+    },
+
+    async touch(id) {
+      const { error } = await client
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) fail('Fehler beim Aktualisieren des API-Keys', error);
+    }
+  };
+
+  const auditLogs = {
+    async create(entry) {
+      const { error } = await client
+        .from('audit_logs')
+        .insert(entry);
+
+      if (error) fail('Fehler beim Speichern des Audit-Logs', error);
+    },
+
+    async list({ limit = 50, order = 'desc', after = null, ...criteria } = {}) {
+      let query = applyAuditFilters(client.from('audit_logs').select('*'), criteria);
+      query = applyKeyset(query, 'created_at', order, after);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: order === 'asc' })
+        .order('id', { ascending: order === 'asc' })
+        .limit(limit);
+
+      if (error) fail('Fehler beim Abrufen der Audit-Logs', error);
+      return data;
+    },
+
+    async count({ estimated = false, ...criteria } = {}) {
+      const { count, error } = await applyAuditFilters(
+        client.from('audit_logs').select('id', { count: estimated ? 'estimated' : 'exact', head: true }),
+        criteria
+      );
+
+      if (error) fail('Fehler beim Zählen der Audit-Logs', error);
+      return count;
+    },
+
+    async activity({ workspaceId, userId, limit = 100 } = {}) {
+      let query = client.from('recent_user_activity').select('*');
+      if (workspaceId) query = query.eq('workspace_id', workspaceId);
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data, error } = await query
+        .order('last_action', { ascending: false })
+        .limit(limit);
+
+      if (error) fail('Fehler beim Abrufen der User-Aktivität', error);
+      return data;
+    }
+  };
+
+  return {
+    name: 'supabase',
+    description: 'Supabase PostgreSQL + pgvector',
+
+    async ping() {
+      const { error } = await client
+        .from('problems')
+        .select('id')
+        .limit(1);
+
+      if (error) fail('Datenbank nicht erreichbar', error);
+    },
+
+    problems,
+    solutions,
+    embeddings,
+    solutionEmbeddings,
+    tags,
+    statusHistory,
+    revisions,
+    embeddingJobs,
+    apiKeys,
+    auditLogs
+  };
+}
+
+export default createSupabaseRepository;
@@ -0,0 +1,81 @@
+/**
+ * REST-API Routes für den Audit-Trail (Admin)
+ * Abfrage der audit_logs für Compliance, beschränkt auf den Workspace des Requests
+ */
+
+import express from 'express';
+import * as auditService from '../utils/auditService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateUuidParam, validateQueryParams, validateAuditQueryParams } from '../middleware/validation.js';
+import { parseAuditQuery } from '../utils/auditQuery.js';
+
+const router = express.Router();
+
+/**
+ * Seite als JSON-Antwort (wie GET /api/problems)
+ * @private
+ */
+function pageResponse(page) {
+  return {
+    success: true,
+    data: page.data,
+    count: page.data.length,
+    total: page.total,
+    next_cursor: page.next_cursor,
+    prev_cursor: page.prev_cursor
+  };
+}
+
+/**
+ * GET /api/audit
+ * Audit-Logs mit Filtern (userId, action, resource, resourceId,
+ * statusFrom/-To, from/to), neueste zuerst
+ */
+router.get('/audit', requireRole('admin'), validateQueryParams, validateAuditQueryParams, asyncHandler(async (req, res) => {
+  const page = await auditService.queryAuditLogs({
+    ...parseAuditQuery(req.query),
+    workspaceId: req.workspaceId
+  }, {
+    limit: parseInt(req.query.limit) || 50,
+    cursor: req.query.cursor,
+    count: req.query.count
+  });
+
+  res.json(pageResponse(page));
+}));
+
+/**
+ * GET /api/audit/activity
+ * Aktionen pro User der letzten 7 Tage (?userId=, ?limit=)
+ */
+router.get('/audit/activity', requireRole('admin'), validateQueryParams, validateAuditQueryParams, asyncHandler(async (req, res) => {
+  const activity = await auditService.getRecentActivity({
+    workspaceId: req.workspaceId,
+    userId: req.query.userId || null,
+    limit: parseInt(req.query.limit) || 100
+  });
+
+  res.json({
+    success: true,
+    data: activity,
+    count: activity.length
+  });
+}));
+
+/**
+ * GET /api/problems/:id/history
+ * Audit-Einträge eines Problems (auch nach dem Löschen abrufbar)
+ */
+router.get('/problems/:id/history', requireRole('admin'), validateUuidParam, validateQueryParams, asyncHandler(async (req, res) => {
+  const page = await auditService.getResourceAuditLogs('problem', req.params.id, {
+    limit: parseInt(req.query.limit) || 20,
+    cursor: req.query.cursor,
+    count: req.query.count,
+    workspaceId: req.workspaceId
+  });
+
+  res.json(pageResponse(page));
+}));
+
+export default router;
@@ -0,0 +1,45 @@
+/**
+ * REST-API Routes für Hintergrund-Jobs
+ * Fortschritt der Embedding-Warteschlange und erneuter Versuch fehlgeschlagener
+ * Jobs (siehe embeddingJobService.js)
+ */
+
+import express from 'express';
+import * as embeddingJobs from '../embeddingJobService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateUuidParam } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ * Embedding-Job des Workspaces: status (pending, running, completed, failed),
+ * attempts / max_attempts, last_error, run_at (nächster Versuch)
+ */
+router.get('/jobs/:id', requireRole('viewer'), validateUuidParam, asyncHandler(async (req, res) => {
+  const job = await embeddingJobs.getEmbeddingJob(req.params.id, { workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+/**
+ * POST /api/jobs/:id/retry
+ * Fehlgeschlagenen Embedding-Job mit neuen Versuchen erneut einreihen
+ * (409, wenn der Job nicht 'failed' ist)
+ */
+router.post('/jobs/:id/retry', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const job = await embeddingJobs.retryEmbeddingJob(req.params.id, { workspace: req.workspaceId });
+
+  res.locals.audit = { action: 'retry', resource: 'embedding_job' };
+  res.json({
+    success: true,
+    message: 'Embedding-Job erneut eingereiht',
+    data: job
+  });
+}));
+
+export default router;
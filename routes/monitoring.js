@@ -5,8 +5,9 @@
 
 import express from 'express';
 import { getMetrics, getPrometheusMetrics, resetMetrics } from '../utils/metrics.js';
-import { supabase } from '../supabaseClient.js';
+import { getRepository } from '../repositories/index.js';
 import { getModelInfo } from '../embeddingService.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -34,15 +35,10 @@ router.get('/health/ready', async (req, res) => {
   
   let allOk = true;
   
-  // Supabase-Verbindung prüfen
+  // Datenbank-Verbindung prüfen
   try {
-    const { error } = await supabase
-      .from('problems')
-      .select('id')
-      .limit(1);
-    
-    checks.database = error ? 'error' : 'ok';
-    if (error) allOk = false;
+    await getRepository().ping();
+    checks.database = 'ok';
   } catch (error) {
     checks.database = 'error';
     allOk = false;
@@ -72,26 +68,23 @@ router.get('/health', async (req, res) => {
   const health = {
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    backend: 'supabase-cloud',
+    backend: null,
     version: '2.0.0',
     checks: {}
   };
   
-  // Supabase-Verbindung
+  // Datenbank-Verbindung
   try {
+    const repository = getRepository();
+    health.backend = repository.name;
+
     const startTime = Date.now();
-    const { data, error } = await supabase
-      .from('problems')
-      .select('id')
-      .limit(1);
+    await repository.ping();
     
     health.checks.database = {
-      status: error ? 'unhealthy' : 'healthy',
-      responseTime: Date.now() - startTime,
-      ...(error && { error: error.message })
+      status: 'healthy',
+      responseTime: Date.now() - startTime
     };
-    
-    if (error) health.status = 'unhealthy';
   } catch (error) {
     health.checks.database = {
       status: 'unhealthy',
@@ -149,9 +142,9 @@ router.get('/metrics/prometheus', (req, res) => {
 
 /**
  * POST /metrics/reset
- * Metriken zurücksetzen (nur in Development)
+ * Metriken zurücksetzen (nur in Development, Admin)
  */
-router.post('/metrics/reset', (req, res) => {
+router.post('/metrics/reset', requireRole('admin'), (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({
       success: false,
@@ -182,7 +175,7 @@ router.get('/status', (req, res) => {
       environment: process.env.NODE_ENV || 'development'
     },
     backend: {
-      type: 'Supabase PostgreSQL + pgvector',
+      type: getRepository().description,
       embeddingModel: modelInfo.name,
       embeddingDimensions: modelInfo.dimensions,
       modelLoaded: modelInfo.loaded
@@ -7,22 +7,34 @@ import express from 'express';
 import * as supabaseService from '../supabaseService.js';
 import * as externalSources from '../externalSourcesService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
 import { 
   validateProblem, 
   validateProblemUpdate, 
   validateSolution,
+  validateSolutionUpdate,
   validateUuidParam,
-  validateSearchParams
+  validateQueryParams,
+  validateProblemListParams,
+  validateSearchParams,
+  validateVote,
+  validateStatusChange,
+  validateShare,
+  validateVersionParam
 } from '../middleware/validation.js';
+import { parseStatusFilter } from '../utils/problemStatus.js';
+import { parseProblemListQuery } from '../utils/problemQuery.js';
 
 const router = express.Router();
 
 /**
  * POST /api/problems
  * Problem mit Embedding erstellen
+ * Duplikat-Check: mode 'warn' (Default, possible_duplicates in der Antwort)
+ * oder 'reject' (409 mit Kandidaten), threshold = Min. Similarity
  */
-router.post('/problems', validateProblem, asyncHandler(async (req, res) => {
-  const { title, description, tags } = req.body;
+router.post('/problems', requireRole('contributor'), validateProblem, asyncHandler(async (req, res) => {
+  const { title, description, tags, mode, threshold } = req.body;
 
   if (!title || !description) {
     return res.status(400).json({
@@ -35,29 +47,50 @@ router.post('/problems', validateProblem, asyncHandler(async (req, res) => {
     title,
     description,
     tags: tags || []
+  }, {
+    duplicateMode: mode,
+    duplicateThreshold: threshold,
+    workspace: req.workspaceId
   });
 
   res.status(201).json({
     success: true,
-    message: 'Problem mit Embedding erstellt',
+    message: problem.possible_duplicates.length > 0
+      ? `Problem mit Embedding erstellt (${problem.possible_duplicates.length} mögliche Duplikate)`
+      : 'Problem mit Embedding erstellt',
     data: problem
   });
 }));
 
 /**
  * GET /api/supabase/problems
- * Alle Probleme aus Supabase abrufen
+ * Probleme abrufen mit Filtern (status, tags + tagMode, createdFrom/-To,
+ * updatedFrom/-To, q, hasSolutions) und Sortierung (sort, order)
  */
-router.get('/problems', asyncHandler(async (req, res) => {
+router.get('/problems', requireRole('viewer'), validateQueryParams, validateProblemListParams, asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
   const offset = parseInt(req.query.offset) || 0;
-
-  const problems = await supabaseService.getAllProblems({ limit, offset });
+  const { filters, sort, order } = parseProblemListQuery(req.query);
+
+  const page = await supabaseService.getAllProblems({
+    limit,
+    offset,
+    cursor: req.query.cursor,
+    count: req.query.count,
+    filters,
+    sort,
+    order,
+    workspace: req.workspaceId
+  });
 
   res.json({
     success: true,
-    data: problems,
-    count: problems.length
+    data: page.data,
+    count: page.data.length,
+    total: page.total,
+    next_cursor: page.next_cursor,
+    prev_cursor: page.prev_cursor,
+    sort: { field: sort, order }
   });
 }));
 
@@ -65,11 +98,128 @@ router.get('/problems', asyncHandler(async (req, res) => {
  * GET /api/problems/:id
  * Problem mit Lösungen abrufen
  */
-router.get('/problems/:id', validateUuidParam, asyncHandler(async (req, res) => {
-  const problem = await supabaseService.getProblemWithSolutions(req.params.id);
+router.get('/problems/:id', requireRole('viewer'), validateUuidParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.getProblemWithSolutions(req.params.id, { workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: problem
+  });
+}));
+
+/**
+ * PATCH /api/problems/:id/status
+ * Status eines Problems ändern (nur erlaubte Übergänge, sonst 409)
+ */
+router.patch('/problems/:id/status', requireRole('editor'), validateUuidParam, validateStatusChange, asyncHandler(async (req, res) => {
+  const { status, comment } = req.body;
+
+  const problem = await supabaseService.changeProblemStatus(req.params.id, status, {
+    actor: req.user?.id || 'anonymous',
+    comment,
+    workspace: req.workspaceId
+  });
 
+  res.locals.audit = {
+    action: 'status_change',
+    resource: 'problem',
+    metadata: { from: problem.previous_status, to: problem.status }
+  };
   res.json({
     success: true,
+    message: `Status geändert: ${problem.previous_status} → ${problem.status}`,
+    data: problem
+  });
+}));
+
+/**
+ * GET /api/problems/:id/status-history
+ * Statusübergänge eines Problems (neueste zuerst)
+ */
+router.get('/problems/:id/status-history', requireRole('viewer'), validateUuidParam, asyncHandler(async (req, res) => {
+  const history = await supabaseService.getProblemStatusHistory(req.params.id, { workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: history,
+    count: history.length
+  });
+}));
+
+/**
+ * GET /api/problems/:id/revisions
+ * Fassungen von Titel, Beschreibung und Tags (neueste Version zuerst)
+ */
+router.get('/problems/:id/revisions', requireRole('viewer'), validateUuidParam, asyncHandler(async (req, res) => {
+  const revisions = await supabaseService.getProblemRevisions(req.params.id, { workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: revisions,
+    count: revisions.length
+  });
+}));
+
+/**
+ * POST /api/problems/:id/revisions/:version/revert
+ * Problem auf eine frühere Revision zurücksetzen (Embedding wird neu generiert)
+ */
+router.post('/problems/:id/revisions/:version/revert', requireRole('editor'), validateUuidParam, validateVersionParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.revertProblem(req.params.id, req.params.version, {
+    workspace: req.workspaceId,
+    actor: req.user?.id || 'anonymous'
+  });
+
+  res.locals.audit = {
+    action: 'revert',
+    resource: 'problem',
+    metadata: { version: problem.reverted_from, changes: problem.changes }
+  };
+  res.json({
+    success: true,
+    message: `Problem auf Revision ${problem.reverted_from} zurückgesetzt`,
+    data: problem
+  });
+}));
+
+/**
+ * POST /api/problems/:id/shares
+ * Problem für einen anderen Workspace freigeben (dort nur lesbar)
+ */
+router.post('/problems/:id/shares', requireRole('editor'), validateUuidParam, validateShare, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.shareProblem(req.params.id, req.body.workspace, {
+    workspace: req.workspaceId
+  });
+
+  res.locals.audit = {
+    action: 'share',
+    resource: 'problem',
+    metadata: { workspace: req.body.workspace }
+  };
+  res.status(201).json({
+    success: true,
+    message: `Problem für Workspace '${req.body.workspace}' freigegeben`,
+    data: problem
+  });
+}));
+
+/**
+ * DELETE /api/problems/:id/shares/:workspace
+ * Freigabe für einen Workspace entfernen
+ */
+router.delete('/problems/:id/shares/:workspace', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.unshareProblem(req.params.id, req.params.workspace, {
+    workspace: req.workspaceId
+  });
+
+  res.locals.audit = {
+    action: 'unshare',
+    resource: 'problem',
+    metadata: { workspace: req.params.workspace }
+  };
+  res.json({
+    success: true,
+    message: `Freigabe für Workspace '${req.params.workspace}' entfernt`,
     data: problem
   });
 }));
@@ -78,7 +228,7 @@ router.get('/problems/:id', validateUuidParam, asyncHandler(async (req, res) =>
  * POST /api/solutions
  * Lösung zu Problem hinzufügen
  */
-router.post('/solutions', validateSolution, asyncHandler(async (req, res) => {
+router.post('/solutions', requireRole('contributor'), validateSolution, asyncHandler(async (req, res) => {
   const { problemId, description, source } = req.body;
 
   if (!problemId || !description) {
@@ -92,7 +242,7 @@ router.post('/solutions', validateSolution, asyncHandler(async (req, res) => {
     problemId,
     description,
     source
-  });
+  }, { workspace: req.workspaceId });
 
   res.status(201).json({
     success: true,
@@ -101,26 +251,134 @@ router.post('/solutions', validateSolution, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/solutions/:id
+ * Einzelne Lösung abrufen
+ */
+router.get('/solutions/:id', requireRole('viewer'), validateUuidParam, asyncHandler(async (req, res) => {
+  const solution = await supabaseService.getSolutionById(req.params.id, { workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: solution
+  });
+}));
+
+/**
+ * PUT /api/solutions/:id
+ * Lösung aktualisieren
+ */
+router.put('/solutions/:id', requireRole('editor'), validateUuidParam, validateSolutionUpdate, asyncHandler(async (req, res) => {
+  const { description, source } = req.body;
+
+  const solution = await supabaseService.updateSolution(req.params.id, { description, source }, {
+    workspace: req.workspaceId
+  });
+
+  res.locals.audit = { metadata: { changes: solution.changes } };
+  res.json({
+    success: true,
+    message: 'Lösung aktualisiert',
+    data: solution
+  });
+}));
+
+/**
+ * DELETE /api/solutions/:id
+ * Lösung löschen
+ */
+router.delete('/solutions/:id', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const solution = await supabaseService.deleteSolution(req.params.id, { workspace: req.workspaceId });
+
+  res.locals.audit = { metadata: { changes: solution.changes } };
+  res.json({
+    success: true,
+    message: 'Lösung gelöscht'
+  });
+}));
+
+/**
+ * POST /api/solutions/:id/accept
+ * Lösung als akzeptiert markieren (hat das Problem gelöst)
+ */
+router.post('/solutions/:id/accept', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const solution = await supabaseService.setSolutionAccepted(req.params.id, true, { workspace: req.workspaceId });
+
+  res.locals.audit = { action: 'accept', resource: 'solution' };
+  res.json({
+    success: true,
+    message: 'Lösung akzeptiert',
+    data: solution
+  });
+}));
+
+/**
+ * DELETE /api/solutions/:id/accept
+ * Akzeptiert-Markierung entfernen
+ */
+router.delete('/solutions/:id/accept', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const solution = await supabaseService.setSolutionAccepted(req.params.id, false, { workspace: req.workspaceId });
+
+  res.locals.audit = { action: 'unaccept', resource: 'solution' };
+  res.json({
+    success: true,
+    message: 'Akzeptiert-Markierung entfernt',
+    data: solution
+  });
+}));
+
+/**
+ * POST /api/solutions/:id/vote
+ * Lösung bewerten (direction: 'up' oder 'down', eine Stimme pro User)
+ */
+router.post('/solutions/:id/vote', requireRole('contributor'), validateUuidParam, validateVote, asyncHandler(async (req, res) => {
+  const solution = await supabaseService.voteSolution(req.params.id, req.body.direction, {
+    workspace: req.workspaceId,
+    userId: req.user?.id || 'anonymous'
+  });
+
+  res.locals.audit = {
+    action: 'vote',
+    resource: 'solution',
+    metadata: { direction: req.body.direction }
+  };
+  res.json({
+    success: true,
+    message: 'Bewertung gespeichert',
+    data: solution
+  });
+}));
+
 /**
  * GET /api/problems/:id/solutions
- * Lösungen eines Problems abrufen
+ * Lösungen eines Problems abrufen (?limit, ?cursor, ?count=exact|estimated)
  */
-router.get('/problems/:id/solutions', validateUuidParam, asyncHandler(async (req, res) => {
-  const solutions = await supabaseService.getSolutionsByProblemId(req.params.id);
+router.get('/problems/:id/solutions', requireRole('viewer'), validateUuidParam, validateQueryParams, asyncHandler(async (req, res) => {
+  const page = await supabaseService.getSolutionsByProblemId(req.params.id, {
+    limit: parseInt(req.query.limit) || 50,
+    cursor: req.query.cursor,
+    count: req.query.count,
+    workspace: req.workspaceId
+  });
 
   res.json({
     success: true,
-    data: solutions,
-    count: solutions.length
+    data: page.data,
+    count: page.data.length,
+    total: page.total,
+    next_cursor: page.next_cursor,
+    prev_cursor: page.prev_cursor
   });
 }));
 
 /**
  * POST /api/search
- * Semantische Suche
+ * Semantische Suche (mode: 'semantic'), Hybrid-Suche (mode: 'hybrid')
+ * oder Suche über Lösungstexte (mode: 'solutions')
  */
-router.post('/search', validateSearchParams, asyncHandler(async (req, res) => {
-  const { query, limit, threshold } = req.body;
+router.post('/search', requireRole('viewer'), validateSearchParams, asyncHandler(async (req, res) => {
+  const { query, limit, threshold, mode = 'semantic', weights, boostAccepted } = req.body;
+  const status = parseStatusFilter(req.body.status);
 
   if (!query) {
     return res.status(400).json({
@@ -129,15 +387,34 @@ router.post('/search', validateSearchParams, asyncHandler(async (req, res) => {
     });
   }
 
-  const results = await supabaseService.semanticSearch(
-    query,
-    limit || 5,
-    threshold || 0.1
-  );
+  let results;
+  if (mode === 'hybrid') {
+    results = await supabaseService.hybridSearch(query, {
+      limit: limit || 5,
+      threshold: threshold || 0.1,
+      semanticWeight: weights?.semantic,
+      keywordWeight: weights?.keyword,
+      boostAccepted,
+      status,
+      workspace: req.workspaceId
+    });
+  } else if (mode === 'solutions') {
+    results = await supabaseService.solutionSearch(query, limit || 5, threshold || 0.1, {
+      status,
+      workspace: req.workspaceId
+    });
+  } else {
+    results = await supabaseService.semanticSearch(query, limit || 5, threshold || 0.1, {
+      boostAccepted,
+      status,
+      workspace: req.workspaceId
+    });
+  }
 
   res.json({
     success: true,
     query,
+    mode,
     data: results,
     count: results.length
   });
@@ -147,7 +424,7 @@ router.post('/search', validateSearchParams, asyncHandler(async (req, res) => {
  * POST /api/supabase/search/combined
  * Kombinierte Suche (Supabase + Stack Overflow + YouTube)
  */
-router.post('/search/combined', asyncHandler(async (req, res) => {
+router.post('/search/combined', requireRole('viewer'), asyncHandler(async (req, res) => {
   const { query, internalLimit, stackOverflowLimit, youtubeLimit } = req.body;
 
   if (!query) {
@@ -159,7 +436,9 @@ router.post('/search/combined', asyncHandler(async (req, res) => {
 
   const results = await externalSources.searchAllSources(
     query,
-    supabaseService.semanticSearch,
+    (searchQuery, searchLimit) => supabaseService.semanticSearch(searchQuery, searchLimit, 0.1, {
+      workspace: req.workspaceId
+    }),
     {
       internalLimit: internalLimit || 5,
       stackOverflowLimit: stackOverflowLimit || 3,
@@ -177,7 +456,7 @@ router.post('/search/combined', asyncHandler(async (req, res) => {
  * PUT /api/problems/:id
  * Problem aktualisieren
  */
-router.put('/problems/:id', validateUuidParam, validateProblemUpdate, asyncHandler(async (req, res) => {
+router.put('/problems/:id', requireRole('editor'), validateUuidParam, validateProblemUpdate, asyncHandler(async (req, res) => {
   const { title, description, tags, regenerateEmbedding } = req.body;
 
   // Mindestens ein Feld muss angegeben sein
@@ -191,9 +470,11 @@ router.put('/problems/:id', validateUuidParam, validateProblemUpdate, asyncHandl
   const problem = await supabaseService.updateProblem(
     req.params.id,
     { title, description, tags },
-    regenerateEmbedding !== false // Default: true
+    regenerateEmbedding !== false, // Default: true
+    { workspace: req.workspaceId, actor: req.user?.id || 'anonymous' }
   );
 
+  res.locals.audit = { metadata: { changes: problem.changes } };
   res.json({
     success: true,
     message: 'Problem aktualisiert',
@@ -203,23 +484,32 @@ router.put('/problems/:id', validateUuidParam, validateProblemUpdate, asyncHandl
 
 /**
  * DELETE /api/problems/:id
- * Problem löschen
+ * Problem in den Papierkorb verschieben (wiederherstellbar bis purge_at)
  */
-router.delete('/problems/:id', validateUuidParam, asyncHandler(async (req, res) => {
-  await supabaseService.deleteProblem(req.params.id);
+router.delete('/problems/:id', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.deleteProblem(req.params.id, {
+    workspace: req.workspaceId,
+    actor: req.user?.id || 'anonymous'
+  });
 
+  res.locals.audit = { metadata: { changes: problem.changes } };
   res.json({
     success: true,
-    message: 'Problem gelöscht'
+    message: 'Problem in den Papierkorb verschoben',
+    data: {
+      id: problem.id,
+      deleted_at: problem.deleted_at,
+      purge_at: problem.purge_at
+    }
   });
 }));
 
 /**
  * PUT /api/supabase/problems/:id/embedding
- * Embedding aktualisieren
+ * Embedding aktualisieren (Admin)
  */
-router.put('/problems/:id/embedding', asyncHandler(async (req, res) => {
-  const embedding = await supabaseService.updateEmbedding(req.params.id);
+router.put('/problems/:id/embedding', requireRole('admin'), asyncHandler(async (req, res) => {
+  const embedding = await supabaseService.updateEmbedding(req.params.id, { workspace: req.workspaceId });
 
   res.json({
     success: true,
@@ -0,0 +1,69 @@
+/**
+ * REST-API Routes für Tag-Verwaltung
+ * Autocomplete sowie Umbenennen und Zusammenführen (Admin)
+ */
+
+import express from 'express';
+import * as tagService from '../tagService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateTagRename, validateTagMerge } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/tags
+ * Tags mit Nutzungszahlen (?prefix=doc für Autocomplete, ?limit=20)
+ */
+router.get('/tags', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : null;
+
+  const tags = await tagService.getTags({ prefix, limit, workspace: req.workspaceId });
+
+  res.json({
+    success: true,
+    data: tags,
+    count: tags.length
+  });
+}));
+
+/**
+ * POST /api/tags/rename
+ * Tag in allen Problemen des Workspaces umbenennen (Admin)
+ */
+router.post('/tags/rename', requireRole('admin'), validateTagRename, asyncHandler(async (req, res) => {
+  const result = await tagService.renameTag(req.body.from, req.body.to, { workspace: req.workspaceId });
+
+  res.locals.audit = {
+    action: 'tag_rename',
+    resource: 'tag',
+    metadata: result
+  };
+  res.json({
+    success: true,
+    message: `Tag '${result.from}' in '${result.to}' umbenannt`,
+    data: result
+  });
+}));
+
+/**
+ * POST /api/tags/merge
+ * Mehrere Tags zu einem Ziel-Tag zusammenführen (Admin)
+ */
+router.post('/tags/merge', requireRole('admin'), validateTagMerge, asyncHandler(async (req, res) => {
+  const result = await tagService.mergeTags(req.body.sources, req.body.target, { workspace: req.workspaceId });
+
+  res.locals.audit = {
+    action: 'tag_merge',
+    resource: 'tag',
+    metadata: result
+  };
+  res.json({
+    success: true,
+    message: `${result.sources.length} Tags in '${result.target}' zusammengeführt`,
+    data: result
+  });
+}));
+
+export default router;
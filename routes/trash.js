@@ -0,0 +1,94 @@
+/**
+ * REST-API Routes für den Papierkorb
+ * Gelöschte Probleme anzeigen und wiederherstellen (Editor), endgültig löschen (Admin)
+ */
+
+import express from 'express';
+import * as supabaseService from '../supabaseService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateUuidParam, validateQueryParams, validateTrashPurge } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * Gelöschte Probleme des Workspaces (zuletzt gelöschte zuerst) mit purge_at
+ */
+router.get('/trash', requireRole('editor'), validateQueryParams, asyncHandler(async (req, res) => {
+  const page = await supabaseService.getTrash({
+    limit: parseInt(req.query.limit) || 50,
+    cursor: req.query.cursor,
+    count: req.query.count,
+    workspace: req.workspaceId
+  });
+
+  res.json({
+    success: true,
+    data: page.data,
+    count: page.data.length,
+    total: page.total,
+    next_cursor: page.next_cursor,
+    prev_cursor: page.prev_cursor,
+    retention_days: supabaseService.TRASH_RETENTION_DAYS
+  });
+}));
+
+/**
+ * POST /api/problems/:id/restore
+ * Problem aus dem Papierkorb wiederherstellen
+ */
+router.post('/problems/:id/restore', requireRole('editor'), validateUuidParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.restoreProblem(req.params.id, { workspace: req.workspaceId });
+
+  res.locals.audit = {
+    action: 'restore',
+    resource: 'problem',
+    metadata: { changes: problem.changes }
+  };
+  res.json({
+    success: true,
+    message: 'Problem wiederhergestellt',
+    data: problem
+  });
+}));
+
+/**
+ * DELETE /api/trash/:id
+ * Problem endgültig löschen (Admin, inkl. Lösungen und Embeddings)
+ */
+router.delete('/trash/:id', requireRole('admin'), validateUuidParam, asyncHandler(async (req, res) => {
+  const problem = await supabaseService.purgeProblem(req.params.id, { workspace: req.workspaceId });
+
+  res.locals.audit = {
+    action: 'purge',
+    resource: 'problem',
+    metadata: { changes: problem.changes }
+  };
+  res.json({
+    success: true,
+    message: 'Problem endgültig gelöscht'
+  });
+}));
+
+/**
+ * DELETE /api/trash
+ * Papierkorb des Workspaces leeren (Admin, ?olderThanDays= nur ältere Einträge)
+ */
+router.delete('/trash', requireRole('admin'), validateTrashPurge, asyncHandler(async (req, res) => {
+  const olderThanDays = req.query.olderThanDays ?? null;
+  const result = await supabaseService.purgeTrash({ workspace: req.workspaceId, olderThanDays });
+
+  res.locals.audit = {
+    action: 'purge',
+    resource: 'problem',
+    metadata: { purged: result.purged, ids: result.ids, older_than_days: olderThanDays }
+  };
+  res.json({
+    success: true,
+    message: `${result.purged} Probleme endgültig gelöscht`,
+    data: result
+  });
+}));
+
+export default router;
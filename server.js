@@ -7,9 +7,20 @@ import express from 'express';
 import cors from 'cors';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
+import { authenticate } from './middleware/auth.js';
+import { resolveWorkspace } from './middleware/workspace.js';
+import { rateLimiter, authFailureLimiter, RATE_LIMIT_BUCKETS, RATE_LIMIT_AUTH_FAILURES } from './middleware/rateLimiter.js';
 import { auditMiddleware } from './utils/auditService.js';
 import supabaseRouter from './routes/supabase.js';
+import tagsRouter from './routes/tags.js';
+import auditRouter from './routes/audit.js';
+import trashRouter from './routes/trash.js';
+import jobsRouter from './routes/jobs.js';
+import { purgeExpiredTrash } from './supabaseService.js';
+import { startEmbeddingWorker, stopEmbeddingWorker } from './embeddingJobService.js';
+import { flushQueryCache, getModelInfo } from './embeddingService.js';
 import monitoringRouter from './routes/monitoring.js';
+import { getRepository } from './repositories/index.js';
 import logger from './utils/logger.js';
 
 // Server-Konfiguration
@@ -29,6 +40,10 @@ app.use(express.json({ limit: '10mb' })); // JSON Body Parser mit Limit
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL-encoded Body Parser
 app.use(requestLogger); // Request-Logging & Metriken
 app.use(auditMiddleware()); // Audit-Trail (User-Tracking)
+app.use(authFailureLimiter()); // Fehlgeschlagene Anmeldungen pro IP (429 vor der Credential-Prüfung)
+app.use(authenticate()); // API-Key / JWT → req.user (401 bei Mutationen ohne Credentials)
+app.use(resolveWorkspace()); // req.workspaceId (fester Workspace des Users oder X-Workspace-Id)
+app.use(rateLimiter()); // Rate-Limits pro API-Key / User / IP (429 mit Retry-After)
 
 // Monitoring & Health-Check Routes
 app.use('/', monitoringRouter);
@@ -39,30 +54,125 @@ app.get('/api', (req, res) => {
     success: true,
     message: 'IT-Problems Tracker - Enterprise API mit semantischer Suche',
     version: '2.0.0',
-    backend: 'Supabase PostgreSQL + pgvector',
-    embeddingModel: 'all-MiniLM-L6-v2',
+    backend: getRepository().description,
+    embeddingModel: getModelInfo().name,
     features: [
-      'Semantische Suche (all-MiniLM-L6-v2)',
-      'Audit-Trail mit User-Tracking',
+      `Semantische Suche (${getModelInfo().name})`,
+      'Austauschbares Embedding-Modell (EMBEDDING_MODEL, Embeddings pro Modell)',
+      'Chunking langer Beschreibungen (passender Abschnitt in matched_passage)',
+      'Hybrid-Suche (Volltext + Vektor)',
+      'Cache für Query-Embeddings (LRU, optional persistiert)',
+      'Suche über Lösungstexte',
+      'Authentifizierung per API-Key oder JWT',
+      'Workspaces (Mandanten) mit Freigaben zwischen Abteilungen',
+      'Papierkorb mit Wiederherstellung (Soft Delete)',
+      'Embedding-Warteschlange mit Wiederholungen und Status pro Problem',
+      'Rate-Limiting pro Client (getrennt für Lesen, Embeddings, externe Quellen)',
+      'Audit-Trail mit User-Tracking und Abfrage-API',
       'Performance-Monitoring',
       'Strukturiertes Logging',
       'Fehlerbehandlung',
-      'Externe Quellen (Stack Overflow, YouTube)'
+      'Externe Quellen (Stack Overflow, YouTube)',
+      'Austauschbares Storage-Backend (Supabase oder In-Memory)'
     ],
+    authentication: {
+      apiKey: 'Header X-API-Key: itp_... (anlegen mit node create_api_key.js)',
+      jwt: 'Header Authorization: Bearer <JWT> (HS* über JWT_SECRET, RS*/ES* über JWT_JWKS_PATH)',
+      anonymous: 'Ohne Credentials → 401; mit AUTH_ANONYMOUS_READS=true sind lesende Requests (Rolle viewer) anonym erlaubt',
+      public: 'GET /, /api, /health, /health/live, /health/ready',
+      workspace: 'Fester Workspace aus API-Key bzw. JWT-Claim workspace_id; Admins ohne festen Workspace wählen per Header X-Workspace-Id (sonst DEFAULT_WORKSPACE)',
+      roles: {
+        viewer: 'Lesen und Suchen',
+        contributor: 'zusätzlich Probleme und Lösungen anlegen, Lösungen bewerten',
+        editor: 'zusätzlich beliebige Probleme und Lösungen ändern, löschen, zurücksetzen, wiederherstellen, Status setzen, Lösungen akzeptieren',
+        admin: 'zusätzlich Tag-Verwaltung, Embedding-Wartung, Audit-Logs, Papierkorb leeren, POST /metrics/reset (fehlende Rolle → 403)'
+      }
+    },
+    rateLimits: {
+      description: 'Requests pro Zeitfenster (RATE_LIMIT_WINDOW_MS) und Client (API-Key, sonst User, sonst IP); Überschreitung → 429 mit Retry-After, Header RateLimit-Limit/-Remaining/-Reset',
+      standard: `${RATE_LIMIT_BUCKETS.standard} (alle übrigen Requests)`,
+      embedding: `${RATE_LIMIT_BUCKETS.embedding} (POST /api/search, POST/PUT Probleme und Lösungen, PUT /api/problems/:id/embedding)`,
+      external: `${RATE_LIMIT_BUCKETS.external} (POST /api/search/combined)`,
+      authFailures: `${RATE_LIMIT_AUTH_FAILURES} fehlgeschlagene Anmeldungen (401) pro IP, danach 429 bis zum Ende des Zeitfensters`
+    },
     endpoints: {
       problems: {
-        'POST /api/problems': 'Problem mit automatischem Embedding erstellen',
-        'GET /api/problems': 'Alle Probleme abrufen',
+        'POST /api/problems': 'Problem mit automatischem Embedding erstellen (Duplikat-Check: mode \'warn\' liefert possible_duplicates, mode \'reject\' → 409, threshold; scheitert das Speichern, übernimmt die Warteschlange → embedding_job_id)',
+        'GET /api/problems': {
+          description: 'Probleme abrufen (gefiltert, sortiert, paginiert)',
+          query: {
+            limit: 'Seitengröße (1-1000, Default 50)',
+            cursor: 'Opaker Cursor aus next_cursor / prev_cursor der vorherigen Antwort',
+            count: 'exact | estimated (liefert total mit)',
+            offset: 'Offset (veraltet, nicht mit cursor kombinierbar)',
+            status: 'open, in_progress, resolved, closed, wont_fix (kommagetrennt)',
+            tags: 'Tags (kommagetrennt)',
+            tagMode: 'any (Default, mind. ein Tag) | all (alle Tags)',
+            createdFrom: 'Erstellt ab (ISO-Datum)',
+            createdTo: 'Erstellt bis (ISO-Datum, inklusive)',
+            updatedFrom: 'Geändert ab (ISO-Datum)',
+            updatedTo: 'Geändert bis (ISO-Datum, inklusive)',
+            q: 'Volltextsuche in Titel und Beschreibung',
+            hasSolutions: 'true | false',
+            sort: 'created_at (Default) | updated_at | title | status | solution_count',
+            order: 'desc (Default) | asc'
+          }
+        },
         'GET /api/problems/:id': 'Einzelnes Problem mit Lösungen abrufen',
-        'PUT /api/problems/:id': 'Problem aktualisieren (Embedding wird automatisch neu generiert)',
-        'DELETE /api/problems/:id': 'Problem löschen'
+        'PUT /api/problems/:id': 'Problem aktualisieren (Embedding wird im Hintergrund neu generiert → embedding_job_id, jede Änderung wird als Revision gespeichert)',
+        'DELETE /api/problems/:id': 'Problem in den Papierkorb verschieben (aus Listen und Suche ausgeblendet)',
+        'PATCH /api/problems/:id/status': 'Status ändern (open, in_progress, resolved, closed, wont_fix; ungültige Übergänge → 409)',
+        'GET /api/problems/:id/status-history': 'Statusübergänge mit Akteur und Zeitpunkt',
+        'GET /api/problems/:id/revisions': 'Revisionen (Version, Autor, geänderte Felder; Version 1 = Ursprungsfassung)',
+        'POST /api/problems/:id/revisions/:version/revert': 'Auf Revision zurücksetzen (neue Revision, Embedding wird im Hintergrund neu generiert)',
+        'PUT /api/problems/:id/embedding': 'Embedding neu generieren (Admin)',
+        'POST /api/problems/:id/shares': 'Problem für anderen Workspace lesend freigeben (body: { workspace })',
+        'DELETE /api/problems/:id/shares/:workspace': 'Freigabe entfernen'
       },
       solutions: {
         'POST /api/solutions': 'Lösung zu Problem hinzufügen',
-        'GET /api/problems/:id/solutions': 'Alle Lösungen für ein Problem'
+        'GET /api/problems/:id/solutions': 'Lösungen eines Problems (Cursor-Pagination: ?limit, ?cursor, ?count)',
+        'GET /api/solutions/:id': 'Einzelne Lösung abrufen',
+        'PUT /api/solutions/:id': 'Lösung aktualisieren',
+        'DELETE /api/solutions/:id': 'Lösung löschen',
+        'POST /api/solutions/:id/accept': 'Lösung als akzeptiert markieren (max. eine pro Problem)',
+        'DELETE /api/solutions/:id/accept': 'Akzeptiert-Markierung entfernen',
+        'POST /api/solutions/:id/vote': 'Lösung bewerten (direction: up | down)'
+      },
+      tags: {
+        'GET /api/tags': 'Tags mit Nutzungszahlen (?prefix= für Autocomplete, ?limit=)',
+        'POST /api/tags/rename': 'Tag in allen Problemen umbenennen (Admin, body: { from, to })',
+        'POST /api/tags/merge': 'Tags zusammenführen (Admin, body: { sources, target })'
+      },
+      trash: {
+        'GET /api/trash': 'Gelöschte Probleme des Workspaces mit purge_at (Editor, Cursor-Pagination)',
+        'POST /api/problems/:id/restore': 'Problem wiederherstellen (Editor)',
+        'DELETE /api/trash/:id': 'Problem endgültig löschen inkl. Lösungen und Embeddings (Admin)',
+        'DELETE /api/trash': 'Papierkorb leeren (Admin, ?olderThanDays= nur ältere Einträge); automatisch nach TRASH_RETENTION_DAYS'
+      },
+      jobs: {
+        'GET /api/jobs/:id': 'Fortschritt eines Embedding-Jobs (status pending | running | completed | failed, attempts, last_error, run_at); Problem-Status in embedding_status (pending | ready | failed)',
+        'POST /api/jobs/:id/retry': 'Fehlgeschlagenen Embedding-Job erneut einreihen (nur status failed, sonst 409)'
+      },
+      audit: {
+        'GET /api/audit': {
+          description: 'Audit-Logs des Workspaces (Admin, neueste zuerst, Cursor-Pagination: ?limit, ?cursor, ?count); PUT/DELETE auf Probleme und Lösungen enthalten metadata.changes = { feld: { before, after } }',
+          query: {
+            userId: 'User-ID',
+            action: 'Aktionen (kommagetrennt, z.B. create,delete,access_denied)',
+            resource: 'Ressourcen-Typ (problem, solution, tag, ...)',
+            resourceId: 'ID des Objekts (UUID)',
+            statusFrom: 'HTTP-Status ab (z.B. 400 für fehlerhafte Requests)',
+            statusTo: 'HTTP-Status bis',
+            from: 'Ab Zeitpunkt (ISO-Datum)',
+            to: 'Bis Zeitpunkt (ISO-Datum, inklusive)'
+          }
+        },
+        'GET /api/audit/activity': 'Aktionen pro User der letzten 7 Tage (Admin, ?userId=)',
+        'GET /api/problems/:id/history': 'Audit-Einträge eines Problems (Admin, auch gelöschte Probleme, Cursor-Pagination)'
       },
       search: {
-        'POST /api/search': 'Semantische Suche (all-MiniLM-L6-v2 + Cosine-Similarity)',
+        'POST /api/search': `Semantische Suche (${getModelInfo().name} + Cosine-Similarity), mit mode: 'hybrid' + Volltext (Reciprocal Rank Fusion, weights: { semantic, keyword }), mode: 'solutions' sucht in Lösungstexten, boostAccepted bevorzugt Probleme mit akzeptierter Lösung, status filtert nach Problem-Status, matched_passage zeigt den passenden Abschnitt der Beschreibung`,
         'POST /api/search/combined': 'Kombinierte Suche (Intern + Stack Overflow + YouTube)'
       },
       monitoring: {
@@ -71,6 +181,7 @@ app.get('/api', (req, res) => {
         'GET /health/ready': 'Readiness-Probe',
         'GET /metrics': 'Performance-Metriken (JSON)',
         'GET /metrics/prometheus': 'Prometheus-Format Metriken',
+        'POST /metrics/reset': 'Metriken zurücksetzen (Admin, nicht in Production)',
         'GET /status': 'System-Status Overview'
       }
     },
@@ -80,6 +191,10 @@ app.get('/api', (req, res) => {
 
 // API Routes registrieren (Supabase als Haupt-API)
 app.use('/api', supabaseRouter);
+app.use('/api', tagsRouter);
+app.use('/api', auditRouter);
+app.use('/api', trashRouter);
+app.use('/api', jobsRouter);
 
 // 404 Handler für nicht existierende Routen
 app.use(notFoundHandler);
@@ -110,9 +225,26 @@ const server = app.listen(PORT, () => {
   console.log('\n✅ Bereit für Requests!\n');
 });
 
+// Papierkorb: abgelaufene Einträge (TRASH_RETENTION_DAYS) beim Start und stündlich endgültig löschen
+function purgeTrashInBackground() {
+  purgeExpiredTrash().catch(error => {
+    logger.error('Papierkorb konnte nicht aufgeräumt werden', { meta: { error: error.message } });
+  });
+}
+
+purgeTrashInBackground();
+setInterval(purgeTrashInBackground, 60 * 60 * 1000).unref();
+
+// Embedding-Warteschlange: abgebrochene Jobs wieder einreihen und abarbeiten
+startEmbeddingWorker().catch(error => {
+  logger.error('Embedding-Warteschlange konnte nicht gestartet werden', { meta: { error: error.message } });
+});
+
 // Graceful Shutdown
 function gracefulShutdown(signal) {
   logger.warn(`${signal} empfangen, fahre Server herunter...`);
+  stopEmbeddingWorker();
+  flushQueryCache();
   
   server.close(() => {
     logger.info('✓ HTTP-Server geschlossen');
@@ -1,69 +1,119 @@
 /**
  * Supabase Service für IT-Problems Tracker
  * CRUD-Operationen mit Embedding-Integration
+ * Speicherzugriffe laufen über das Storage-Repository (repositories/index.js)
  */
 
-import { supabase } from './supabaseClient.js';
-import { generateEmbedding, cosineSimilarity } from './embeddingService.js';
+import { getRepository } from './repositories/index.js';
+import { generateEmbedding, generateQueryEmbedding, generateProblemEmbeddings } from './embeddingService.js';
+import { enqueueEmbeddingJob } from './embeddingJobService.js';
+import { ApiError } from './middleware/errorHandler.js';
+import {
+  DEFAULT_PROBLEM_STATUS,
+  isValidStatus,
+  canTransition,
+  allowedTransitions
+} from './utils/problemStatus.js';
+import { normalizeTags } from './utils/tags.js';
+import { paginate, DEFAULT_PAGE_SIZE } from './utils/pagination.js';
+import { AUDITED_FIELDS, diffFields } from './utils/diff.js';
+import {
+  DEFAULT_WORKSPACE,
+  isValidWorkspaceId,
+  workspaceOf,
+  isOwnedBy,
+  isVisibleIn
+} from './utils/workspaces.js';
+import { EMBEDDING_MODEL } from './utils/embeddingModels.js';
+import { envNumber } from './utils/env.js';
+import { reciprocalRankFusion, maxFusedScore } from './utils/rankFusion.js';
+
+// Duplikat-Erkennung beim Anlegen: 'warn' (anlegen + possible_duplicates) oder 'reject' (409)
+const DUPLICATE_MODE = process.env.DUPLICATE_MODE || 'warn';
+const DUPLICATE_THRESHOLD = envNumber('DUPLICATE_THRESHOLD', 0.85);
+const DUPLICATE_LIMIT = parseInt(process.env.DUPLICATE_LIMIT) || 5;
+
+// Papierkorb: gelöschte Probleme werden nach so vielen Tagen endgültig entfernt
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * 🔹 Problem mit Embedding hinzufügen
+ * Vor dem Einfügen wird das neue Embedding mit bestehenden verglichen:
+ * im Modus 'reject' führen Duplikate zu 409, im Modus 'warn' wird das
+ * Problem angelegt und die Kandidaten in possible_duplicates zurückgegeben.
+ * Scheitert das Speichern des Embeddings, übernimmt die Embedding-Warteschlange
+ * (embedding_status 'pending', embedding_job_id).
  * @param {Object} problemData - Problem-Daten
  * @param {string} problemData.title - Titel
  * @param {string} problemData.description - Beschreibung
- * @param {Array<string>} [problemData.tags] - Tags
- * @returns {Object} Erstelltes Problem mit ID
+ * @param {Array<string>|string} [problemData.tags] - Tags (werden normalisiert)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.duplicateMode] - 'warn' oder 'reject' (Default: DUPLICATE_MODE)
+ * @param {number} [options.duplicateThreshold] - Min. Similarity für Duplikate (Default: DUPLICATE_THRESHOLD)
+ * @param {string} [options.workspace] - Workspace des neuen Problems
+ * @returns {Object} Erstelltes Problem mit ID, embedding_status, embedding_job_id und possible_duplicates
  */
-export async function addProblemWithEmbedding({ title, description, tags = [] }) {
+export async function addProblemWithEmbedding({ title, description, tags = [] }, {
+  duplicateMode = DUPLICATE_MODE,
+  duplicateThreshold = DUPLICATE_THRESHOLD,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
   try {
     // Validierung
     if (!title || !description) {
       throw new Error('Titel und Beschreibung sind erforderlich');
     }
 
-    // 1. Problem in Datenbank einfügen
-    const { data: problem, error: problemError } = await supabase
-      .from('problems')
-      .insert({
-        title: title.trim(),
-        description: description.trim(),
-        tags: tags
-      })
-      .select()
-      .single();
+    const repository = getRepository();
+
+    // 1. Chunk-Embeddings generieren (async mit dem aktiven Modell) - vor dem Einfügen für den Duplikat-Check
+    console.log('🔄 Generiere Embedding für neues Problem...');
+    const chunks = await generateProblemEmbeddings({ title: title.trim(), description: description.trim() });
+    console.log(`✓ Embedding generiert (${chunks.length} Chunks à ${chunks[0].vector.length} Dimensionen)`);
+
+    // 2. Nach ähnlichen bestehenden Problemen suchen (Titel + Anfang der Beschreibung)
+    const duplicates = await findDuplicateCandidates(chunks[0].vector, duplicateThreshold, workspace);
+
+    if (duplicates.length > 0) {
+      console.log(`⚠️ ${duplicates.length} mögliche Duplikate gefunden (Threshold ${duplicateThreshold})`);
 
-    if (problemError) {
-      throw new Error(`Fehler beim Einfügen des Problems: ${problemError.message}`);
+      if (duplicateMode === 'reject') {
+        throw new ApiError(409, 'Mögliche Duplikate gefunden', { duplicates });
+      }
     }
 
-    console.log(`✓ Problem erstellt mit ID: ${problem.id}`);
+    // 3. Problem in Datenbank einfügen
+    const problem = await repository.problems.create({
+      title: title.trim(),
+      description: description.trim(),
+      tags: normalizeTags(tags),
+      workspace_id: workspace
+    });
 
-    // 2. Embedding generieren (async mit all-MiniLM-L6-v2)
-    console.log(`🔄 Generiere Embedding für Problem ${problem.id}...`);
-    const textForEmbedding = `${title} ${description}`;
-    const embedding = await generateEmbedding(textForEmbedding);
-    console.log(`✓ Embedding generiert (${embedding.length} Dimensionen)`);
+    console.log(`✓ Problem erstellt mit ID: ${problem.id}`);
 
-    // 3. Embedding in Datenbank speichern
-    const { data: embeddingData, error: embeddingError } = await supabase
-      .from('embeddings')
-      .insert({
+    // 4. Embedding in Datenbank speichern (sonst Warteschlange)
+    let embeddingState = { embedding_status: 'ready', embedding_job_id: null };
+    try {
+      await repository.embeddings.upsert({
         problem_id: problem.id,
-        vector: embedding,
-        model_name: 'all-MiniLM-L6-v2'
-      })
-      .select()
-      .single();
-
-    if (embeddingError) {
-      console.error('⚠️ Warnung: Embedding konnte nicht gespeichert werden:', embeddingError.message);
-    } else {
+        model_name: EMBEDDING_MODEL,
+        workspace_id: workspaceOf(problem),
+        chunks
+      });
       console.log(`✓ Embedding gespeichert für Problem ${problem.id}`);
+    } catch (embeddingError) {
+      console.error('⚠️ Warnung: Embedding konnte nicht gespeichert werden:', embeddingError.message);
+      embeddingState = await scheduleEmbedding(problem);
     }
 
     return {
       ...problem,
-      embedding_created: !embeddingError
+      ...embeddingState,
+      embedding_created: embeddingState.embedding_status === 'ready',
+      possible_duplicates: duplicates
     };
 
   } catch (error) {
@@ -72,14 +122,77 @@ export async function addProblemWithEmbedding({ title, description, tags = [] })
   }
 }
 
+/**
+ * Embedding-Job für ein Problem einreihen
+ * Fehler beim Einreihen brechen die eigentliche Änderung nicht ab.
+ * @private
+ */
+async function scheduleEmbedding(problem) {
+  try {
+    const job = await enqueueEmbeddingJob(problem);
+    return { embedding_status: 'pending', embedding_job_id: job.id };
+  } catch (error) {
+    console.warn('⚠️ Warnung: Embedding-Job konnte nicht eingereiht werden:', error.message);
+    return { embedding_status: problem.embedding_status, embedding_job_id: null };
+  }
+}
+
+/**
+ * Bestehende Probleme mit ähnlichem Embedding finden (Duplikat-Kandidaten)
+ * Berücksichtigt eigene und freigegebene Probleme des Workspaces.
+ * @private
+ */
+async function findDuplicateCandidates(embedding, threshold, workspace) {
+  const repository = getRepository();
+
+  const matches = await repository.embeddings.searchSimilar(embedding, {
+    limit: DUPLICATE_LIMIT,
+    threshold,
+    filters: { workspace, model: EMBEDDING_MODEL }
+  });
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const problems = await repository.problems.findByIdsWithSolutions(matches.map(m => m.problem_id));
+
+  return matches
+    .map(match => {
+      const problem = problems.find(p => p.id === match.problem_id);
+      return problem && {
+        id: problem.id,
+        title: problem.title,
+        status: problem.status,
+        created_at: problem.created_at,
+        has_accepted_solution: (problem.solutions || []).some(solution => solution.is_accepted),
+        similarity: match.similarity
+      };
+    })
+    .filter(Boolean);
+}
+
+// Ranking-Bonus für Probleme mit akzeptierter Lösung (0.1 = +10 %)
+const SEARCH_ACCEPTED_BOOST = envNumber('SEARCH_ACCEPTED_BOOST', 0);
+
 /**
  * 🔍 Semantische Suche mit Cosine-Similarity
+ * Ranking, Threshold und Limit übernimmt das Storage-Backend
+ * (Supabase: RPC mit pgvector + HNSW, siehe VECTOR_SEARCH_MODE).
  * @param {string} query - Suchanfrage
  * @param {number} [limit=5] - Max. Anzahl der Ergebnisse
  * @param {number} [threshold=0.1] - Min. Similarity-Score
- * @returns {Array} Top relevante Probleme mit Lösungen
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.boostAccepted] - Ranking-Bonus für Probleme mit akzeptierter Lösung
+ * @param {Array<string>} [options.status] - Nur Probleme mit diesen Status
+ * @param {string} [options.workspace] - Workspace (eigene und freigegebene Probleme)
+ * @returns {Array} Top relevante Probleme mit Lösungen; matched_passage = bester Abschnitt der Beschreibung
  */
-export async function semanticSearch(query, limit = 5, threshold = 0.1) {
+export async function semanticSearch(query, limit = 5, threshold = 0.1, {
+  boostAccepted = SEARCH_ACCEPTED_BOOST,
+  status = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
   try {
     if (!query || typeof query !== 'string') {
       throw new Error('Query muss ein nicht-leerer String sein');
@@ -87,147 +200,306 @@ export async function semanticSearch(query, limit = 5, threshold = 0.1) {
 
     console.log(`🔍 Semantische Suche: "${query}"`);
 
-    // 1. Query-Embedding generieren (async mit all-MiniLM-L6-v2)
-    const queryEmbedding = await generateEmbedding(query);
+    // 1. Query-Embedding generieren (async mit dem aktiven Modell, aus dem Cache wenn bekannt)
+    const queryEmbedding = await generateQueryEmbedding(query);
     console.log(`✓ Query-Embedding generiert (${queryEmbedding.length} Dimensionen)`);
 
-    // 2. Alle Embeddings aus Datenbank abrufen
-    const { data: embeddings, error: embeddingsError } = await supabase
-      .from('embeddings')
-      .select('id, problem_id, vector');
+    // 2. Top-Matches ermitteln (mit Boost größerer Pool, damit geboostete Probleme nachrücken)
+    const topMatches = await getRepository().embeddings.searchSimilar(queryEmbedding, {
+      limit: boostAccepted > 0 ? limit * 2 : limit,
+      threshold,
+      filters: { status, workspace, model: EMBEDDING_MODEL }
+    });
 
-    if (embeddingsError) {
-      throw new Error(`Fehler beim Abrufen der Embeddings: ${embeddingsError.message}`);
+    if (topMatches.length === 0) {
+      console.log('ℹ️ Keine Ergebnisse über Threshold gefunden');
+      return [];
     }
 
-    if (!embeddings || embeddings.length === 0) {
-      console.log('ℹ️ Keine Embeddings gefunden');
+    // 3. Problem-Details und Lösungen abrufen
+    const problems = await getRepository().problems.findByIdsWithSolutions(topMatches.map(m => m.problem_id));
+
+    // 4. Similarity-Scores zu Problemen hinzufügen
+    const results = problems.map(problem => {
+      const match = topMatches.find(m => m.problem_id === problem.id);
+      return withAcceptedBoost({
+        ...problem,
+        similarity: match.similarity,
+        relevance_score: Math.round(match.similarity * 100),
+        matched_passage: matchedPassage(problem, match)
+      }, match.similarity, boostAccepted);
+    });
+
+    // Nach (geboostetem) Score sortieren
+    results.sort((a, b) => b.ranking_score - a.ranking_score);
+
+    console.log(`✓ ${Math.min(results.length, limit)} relevante Probleme gefunden`);
+    return results.slice(0, limit);
+
+  } catch (error) {
+    console.error('✗ Fehler bei semanticSearch:', error.message);
+    throw error;
+  }
+}
+
+// Hybrid-Suche: Gewichte und Konstante für Reciprocal Rank Fusion
+const HYBRID_SEMANTIC_WEIGHT = envNumber('HYBRID_SEMANTIC_WEIGHT', 1);
+const HYBRID_KEYWORD_WEIGHT = envNumber('HYBRID_KEYWORD_WEIGHT', 1);
+const HYBRID_RRF_K = parseInt(process.env.HYBRID_RRF_K) || 60;
+
+/**
+ * 🔀 Hybrid-Suche: Volltext (german tsvector) + Vektor-Similarity
+ * Beide Ranglisten werden per Reciprocal Rank Fusion zusammengeführt:
+ * score = w_semantic / (k + rang_semantic) + w_keyword / (k + rang_keyword)
+ * @param {string} query - Suchanfrage
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=5] - Max. Anzahl der Ergebnisse
+ * @param {number} [options.threshold=0.1] - Min. Similarity für Vektor-Treffer
+ * @param {number} [options.semanticWeight] - Gewicht der Vektor-Rangliste
+ * @param {number} [options.keywordWeight] - Gewicht der Volltext-Rangliste
+ * @param {number} [options.boostAccepted] - Ranking-Bonus für Probleme mit akzeptierter Lösung
+ * @param {Array<string>} [options.status] - Nur Probleme mit diesen Status
+ * @param {string} [options.workspace] - Workspace (eigene und freigegebene Probleme)
+ * @returns {Array} Probleme mit Lösungen, scores { semantic, keyword, fused } und matched_passage (nur Vektor-Treffer)
+ */
+export async function hybridSearch(query, {
+  limit = 5,
+  threshold = 0.1,
+  semanticWeight = HYBRID_SEMANTIC_WEIGHT,
+  keywordWeight = HYBRID_KEYWORD_WEIGHT,
+  boostAccepted = SEARCH_ACCEPTED_BOOST,
+  status = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
+  try {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query muss ein nicht-leerer String sein');
+    }
+
+    console.log(`🔀 Hybrid-Suche: "${query}"`);
+
+    // Größerer Kandidaten-Pool, damit die Fusion Treffer beider Listen sieht
+    const candidateCount = Math.max(limit * 4, 20);
+
+    const repository = getRepository();
+    const filters = { status, workspace, model: EMBEDDING_MODEL };
+
+    // 1. Vektor- und Volltext-Suche parallel ausführen
+    const [semanticMatches, keywordMatches] = await Promise.all([
+      generateQueryEmbedding(query).then(queryEmbedding =>
+        repository.embeddings.searchSimilar(queryEmbedding, { limit: candidateCount, threshold, filters })),
+      repository.problems.searchFullText(query, { limit: candidateCount, filters })
+    ]);
+
+    console.log(`✓ ${semanticMatches.length} Vektor-Treffer, ${keywordMatches.length} Volltext-Treffer`);
+
+    // 2. Reciprocal Rank Fusion
+    const fusion = { semanticWeight, keywordWeight, k: HYBRID_RRF_K };
+    const topMatches = reciprocalRankFusion(semanticMatches, keywordMatches, fusion)
+      .slice(0, boostAccepted > 0 ? limit * 2 : limit);
+
+    if (topMatches.length === 0) {
+      console.log('ℹ️ Keine Ergebnisse gefunden');
       return [];
     }
 
-    // pgvector gibt Strings zurück - in Array konvertieren
-    console.log(`✓ ${embeddings.length} Embeddings aus Datenbank abgerufen`);
+    // 3. Problem-Details und Lösungen abrufen
+    const problems = await getRepository().problems.findByIdsWithSolutions(topMatches.map(m => m.problem_id));
 
-    // 3. Similarity-Scores berechnen
-    const similarities = embeddings.map(emb => {
-      try {
-        // pgvector gibt String zurück - konvertieren zu Array
-        let dbVector = emb.vector;
-        
-        // Falls String (pgvector-Format), parsen
-        if (typeof dbVector === 'string') {
-          // Format: "[0.1, 0.2, ...]" -> Array
-          dbVector = JSON.parse(dbVector.replace(/^\[/, '[').replace(/\]$/, ']'));
-        }
-        
-        // Validierung: Beide Vektoren müssen 384 Dimensionen haben
-        
-        // Falls Vektor aus DB nicht die richtige Länge hat, anpassen
-        if (!Array.isArray(dbVector)) {
-          console.warn(`⚠️ Embedding für Problem ${emb.problem_id} ist kein Array`);
-          return null;
-        }
-        
-        if (dbVector.length !== queryEmbedding.length) {
-          console.warn(`⚠️ Vektorlänge stimmt nicht überein: DB=${dbVector.length}, Query=${queryEmbedding.length}`);
-          // Vektor auf 384 anpassen
-          if (dbVector.length < 384) {
-            dbVector = dbVector.concat(new Array(384 - dbVector.length).fill(0));
-          } else {
-            dbVector = dbVector.slice(0, 384);
-          }
-        }
-        
-        return {
-          problem_id: emb.problem_id,
-          similarity: cosineSimilarity(queryEmbedding, dbVector)
-        };
-      } catch (error) {
-        console.error(`✗ Fehler bei Similarity-Berechnung für Problem ${emb.problem_id}:`, error.message);
-        return null;
+    // 4. Scores anhängen (relevance_score relativ zum maximal möglichen Fusions-Score)
+    const maxFused = maxFusedScore(fusion);
+    const results = problems.map(problem => {
+      const match = topMatches.find(m => m.problem_id === problem.id);
+      return withAcceptedBoost({
+        ...problem,
+        similarity: match.semantic,
+        scores: {
+          semantic: match.semantic,
+          keyword: match.keyword,
+          fused: match.fused
+        },
+        relevance_score: maxFused > 0 ? Math.round((match.fused / maxFused) * 100) : 0,
+        matched_passage: matchedPassage(problem, match.chunk)
+      }, match.fused, boostAccepted);
+    });
+
+    results.sort((a, b) => b.ranking_score - a.ranking_score);
+
+    console.log(`✓ ${Math.min(results.length, limit)} relevante Probleme gefunden (hybrid)`);
+    return results.slice(0, limit);
+
+  } catch (error) {
+    console.error('✗ Fehler bei hybridSearch:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Passenden Abschnitt der Beschreibung aus dem besten Chunk-Treffer ableiten
+ * (chunk_length null = Embedding über die gesamte Beschreibung)
+ * @private
+ */
+function matchedPassage(problem, match) {
+  if (!match) {
+    return null;
+  }
+
+  const start = match.chunk_start ?? 0;
+  const length = match.chunk_length ?? problem.description.length - start;
+
+  return {
+    chunk_index: match.chunk_index ?? 0,
+    start,
+    length,
+    text: problem.description.slice(start, start + length)
+  };
+}
+
+/**
+ * Lösungen eines Suchergebnisses ranken und Accepted-Boost anwenden
+ * ranking_score = score * (1 + boost), falls eine akzeptierte Lösung existiert
+ * @private
+ */
+function withAcceptedBoost(result, score, boost) {
+  const hasAccepted = (result.solutions || []).some(solution => solution.is_accepted);
+  return {
+    ...result,
+    solutions: rankSolutions(result.solutions),
+    has_accepted_solution: hasAccepted,
+    ranking_score: hasAccepted ? score * (1 + boost) : score
+  };
+}
+
+/**
+ * Lösungen sortieren: akzeptierte zuerst, dann nach Bewertung
+ * (Upvotes - Downvotes), bei Gleichstand die älteste zuerst
+ * @private
+ */
+function rankSolutions(solutions = []) {
+  const score = solution => (solution.upvotes || 0) - (solution.downvotes || 0);
+  return [...solutions].sort((a, b) =>
+    (b.is_accepted === true) - (a.is_accepted === true) ||
+    score(b) - score(a) ||
+    new Date(a.created_at) - new Date(b.created_at)
+  );
+}
+
+/**
+ * 🧩 Semantische Suche über Lösungstexte
+ * Liefert die Eltern-Probleme; die beste passende Lösung steht in matched_solution
+ * und ist im solutions-Array mit is_match markiert.
+ * @param {string} query - Suchanfrage
+ * @param {number} [limit=5] - Max. Anzahl der Probleme
+ * @param {number} [threshold=0.1] - Min. Similarity-Score
+ * @param {Object} [options] - Optionen
+ * @param {Array<string>} [options.status] - Nur Lösungen von Problemen mit diesen Status
+ * @param {string} [options.workspace] - Workspace (eigene und freigegebene Probleme)
+ * @returns {Array} Probleme mit Lösungen und matched_solution
+ */
+export async function solutionSearch(query, limit = 5, threshold = 0.1, {
+  status = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
+  try {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query muss ein nicht-leerer String sein');
+    }
+
+    console.log(`🧩 Lösungs-Suche: "${query}"`);
+
+    const repository = getRepository();
+    const queryEmbedding = await generateQueryEmbedding(query);
+
+    // 1. Passende Lösungen suchen (mehr Kandidaten, da mehrere Lösungen je Problem)
+    const solutionMatches = await repository.solutionEmbeddings.searchSimilar(queryEmbedding, {
+      limit: Math.max(limit * 4, 20),
+      threshold,
+      filters: { status, workspace, model: EMBEDDING_MODEL }
+    });
+
+    // 2. Pro Problem nur die beste Lösung behalten (Matches sind absteigend sortiert)
+    const bestByProblem = new Map();
+    solutionMatches.forEach(match => {
+      if (!bestByProblem.has(match.problem_id)) {
+        bestByProblem.set(match.problem_id, match);
       }
-    }).filter(s => s !== null); // Fehlerhafte Embeddings ausfiltern
+    });
 
-    // 4. Nach Similarity sortieren und filtern
-    const topMatches = similarities
-      .filter(item => item.similarity >= threshold)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+    const topMatches = [...bestByProblem.values()].slice(0, limit);
 
     if (topMatches.length === 0) {
-      console.log('ℹ️ Keine Ergebnisse über Threshold gefunden');
+      console.log('ℹ️ Keine Lösungen über Threshold gefunden');
       return [];
     }
 
-    // 5. Problem-Details und Lösungen abrufen
-    const problemIds = topMatches.map(m => m.problem_id);
-    
-    const { data: problems, error: problemsError } = await supabase
-      .from('problems')
-      .select(`
-        id,
-        title,
-        description,
-        tags,
-        created_at,
-        solutions (
-          id,
-          description,
-          source,
-          created_at
-        )
-      `)
-      .in('id', problemIds);
-
-    if (problemsError) {
-      throw new Error(`Fehler beim Abrufen der Probleme: ${problemsError.message}`);
-    }
-
-    // 6. Similarity-Scores zu Problemen hinzufügen
+    // 3. Eltern-Probleme inkl. Lösungen abrufen
+    const problems = await repository.problems.findByIdsWithSolutions(topMatches.map(m => m.problem_id));
+
+    // 4. Passende Lösung hervorheben
     const results = problems.map(problem => {
-      const match = topMatches.find(m => m.problem_id === problem.id);
+      const match = bestByProblem.get(problem.id);
+      const solutions = rankSolutions(problem.solutions).map(solution => ({
+        ...solution,
+        is_match: solution.id === match.solution_id
+      }));
+      const matchedSolution = solutions.find(solution => solution.is_match);
+
       return {
         ...problem,
+        solutions,
+        matched_solution: matchedSolution
+          ? { ...matchedSolution, similarity: match.similarity }
+          : { id: match.solution_id, similarity: match.similarity },
         similarity: match.similarity,
         relevance_score: Math.round(match.similarity * 100)
       };
     });
 
-    // Nach Similarity sortieren
     results.sort((a, b) => b.similarity - a.similarity);
 
-    console.log(`✓ ${results.length} relevante Probleme gefunden`);
+    console.log(`✓ ${results.length} Probleme über Lösungen gefunden`);
     return results;
 
   } catch (error) {
-    console.error('✗ Fehler bei semanticSearch:', error.message);
+    console.error('✗ Fehler bei solutionSearch:', error.message);
     throw error;
   }
 }
 
 /**
- * 📋 Lösungen zu einem Problem abrufen
+ * 📋 Lösungen zu einem Problem abrufen (älteste zuerst, Cursor-Pagination)
  * @param {string} problemId - Problem-ID (UUID)
- * @returns {Array} Lösungen
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} { data, next_cursor, prev_cursor, total? }
  */
-export async function getSolutionsByProblemId(problemId) {
+export async function getSolutionsByProblemId(problemId, {
+  limit = DEFAULT_PAGE_SIZE,
+  cursor = null,
+  count = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
   try {
     if (!problemId) {
       throw new Error('Problem-ID ist erforderlich');
     }
 
-    const { data: solutions, error } = await supabase
-      .from('solutions')
-      .select('*')
-      .eq('problem_id', problemId)
-      .order('created_at', { ascending: true });
+    const repository = getRepository();
+    await findProblemInWorkspace(problemId, workspace);
 
-    if (error) {
-      throw new Error(`Fehler beim Abrufen der Lösungen: ${error.message}`);
-    }
+    const [page, total] = await Promise.all([
+      paginate(
+        ({ limit, order, after }) => repository.solutions.listByProblemId(problemId, { limit, order, after }),
+        { limit, cursor, sort: 'created_at', order: 'asc' }
+      ),
+      count ? repository.solutions.countByProblemId(problemId, { estimated: count === 'estimated' }) : undefined
+    ]);
 
-    console.log(`✓ ${solutions.length} Lösungen für Problem ${problemId} gefunden`);
-    return solutions;
+    console.log(`✓ ${page.data.length} Lösungen für Problem ${problemId} gefunden`);
+    return { ...page, total };
 
   } catch (error) {
     console.error('✗ Fehler bei getSolutionsByProblemId:', error.message);
@@ -241,30 +513,41 @@ export async function getSolutionsByProblemId(problemId) {
  * @param {string} solutionData.problemId - Problem-ID
  * @param {string} solutionData.description - Beschreibung
  * @param {string} [solutionData.source] - Quelle
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (muss das Problem besitzen)
  * @returns {Object} Erstellte Lösung
  */
-export async function addSolution({ problemId, description, source = null }) {
+export async function addSolution({ problemId, description, source = null }, { workspace = DEFAULT_WORKSPACE } = {}) {
   try {
     if (!problemId || !description) {
       throw new Error('Problem-ID und Beschreibung sind erforderlich');
     }
 
-    const { data: solution, error } = await supabase
-      .from('solutions')
-      .insert({
-        problem_id: problemId,
-        description: description.trim(),
-        source: source
-      })
-      .select()
-      .single();
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true });
 
-    if (error) {
-      throw new Error(`Fehler beim Einfügen der Lösung: ${error.message}`);
-    }
+    const solution = await getRepository().solutions.create({
+      problem_id: problemId,
+      description: description.trim(),
+      source: source,
+      workspace_id: workspaceOf(problem)
+    });
 
     console.log(`✓ Lösung erstellt mit ID: ${solution.id}`);
-    return solution;
+
+    // Embedding der Lösung generieren (Suche über Lösungstexte)
+    let embeddingCreated = true;
+    try {
+      await embedSolution(solution);
+      console.log(`✓ Embedding gespeichert für Lösung ${solution.id}`);
+    } catch (embeddingError) {
+      console.error('⚠️ Warnung: Lösungs-Embedding konnte nicht gespeichert werden:', embeddingError.message);
+      embeddingCreated = false;
+    }
+
+    return {
+      ...solution,
+      embedding_created: embeddingCreated
+    };
 
   } catch (error) {
     console.error('✗ Fehler bei addSolution:', error.message);
@@ -272,31 +555,215 @@ export async function addSolution({ problemId, description, source = null }) {
   }
 }
 
+/**
+ * Embedding für eine Lösung generieren und speichern
+ * @private
+ */
+async function embedSolution(solution) {
+  const embedding = await generateEmbedding(solution.description);
+
+  return getRepository().solutionEmbeddings.upsert({
+    solution_id: solution.id,
+    problem_id: solution.problem_id,
+    vector: embedding,
+    model_name: EMBEDDING_MODEL,
+    workspace_id: workspaceOf(solution)
+  });
+}
+
+/**
+ * 🔎 Einzelne Lösung abrufen
+ * @param {string} solutionId - Lösungs-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} Lösung
+ */
+export async function getSolutionById(solutionId, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!solutionId) {
+      throw new Error('Lösungs-ID ist erforderlich');
+    }
+
+    return await findSolutionInWorkspace(solutionId, workspace);
+
+  } catch (error) {
+    console.error('✗ Fehler bei getSolutionById:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * ✏️ Lösung aktualisieren
+ * @param {string} solutionId - Lösungs-ID (UUID)
+ * @param {Object} updateData - Zu aktualisierende Daten
+ * @param {string} [updateData.description] - Neue Beschreibung
+ * @param {string|null} [updateData.source] - Neue Quelle (null entfernt sie)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} Aktualisierte Lösung inkl. changes ({ feld: { before, after } })
+ */
+export async function updateSolution(solutionId, updateData, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!solutionId) {
+      throw new Error('Lösungs-ID ist erforderlich');
+    }
+
+    // Daten bereinigen
+    const cleanData = {};
+    if (updateData.description) cleanData.description = updateData.description.trim();
+    if (updateData.source !== undefined) cleanData.source = updateData.source;
+
+    if (Object.keys(cleanData).length === 0) {
+      throw new Error('Keine Daten zum Aktualisieren angegeben');
+    }
+
+    const previous = await findSolutionInWorkspace(solutionId, workspace, { write: true });
+    const solution = await getRepository().solutions.update(solutionId, cleanData);
+
+    if (!solution) {
+      throw new Error(`Lösung ${solutionId} nicht gefunden`);
+    }
+
+    solution.changes = diffFields(previous, solution, AUDITED_FIELDS.solution);
+
+    console.log(`✓ Lösung ${solutionId} aktualisiert`);
+
+    // Embedding neu generieren wenn die Beschreibung geändert wurde
+    if (cleanData.description) {
+      try {
+        await embedSolution(solution);
+        solution.embedding_updated = true;
+      } catch (embError) {
+        console.warn('⚠️ Warnung: Lösungs-Embedding konnte nicht aktualisiert werden:', embError.message);
+        solution.embedding_updated = false;
+      }
+    }
+
+    return solution;
+
+  } catch (error) {
+    console.error('✗ Fehler bei updateSolution:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🗑️ Lösung löschen
+ * @param {string} solutionId - Lösungs-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} Gelöschte Lösung (letzter Stand) inkl. changes
+ */
+export async function deleteSolution(solutionId, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!solutionId) {
+      throw new Error('Lösungs-ID ist erforderlich');
+    }
+
+    const solution = await findSolutionInWorkspace(solutionId, workspace, { write: true });
+    const deleted = await getRepository().solutions.delete(solutionId);
+
+    if (!deleted) {
+      throw new Error(`Lösung ${solutionId} nicht gefunden`);
+    }
+
+    console.log(`✓ Lösung ${solutionId} gelöscht`);
+    return {
+      ...solution,
+      changes: diffFields(solution, null, AUDITED_FIELDS.solution)
+    };
+
+  } catch (error) {
+    console.error('✗ Fehler bei deleteSolution:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * ✅ Lösung als akzeptiert markieren (oder Markierung entfernen)
+ * Pro Problem kann nur eine Lösung akzeptiert sein.
+ * @param {string} solutionId - Lösungs-ID (UUID)
+ * @param {boolean} [accepted=true] - Akzeptiert?
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} Aktualisierte Lösung
+ */
+export async function setSolutionAccepted(solutionId, accepted = true, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!solutionId) {
+      throw new Error('Lösungs-ID ist erforderlich');
+    }
+
+    await findSolutionInWorkspace(solutionId, workspace, { write: true });
+    const solution = await getRepository().solutions.setAccepted(solutionId, accepted);
+
+    if (!solution) {
+      throw new Error(`Lösung ${solutionId} nicht gefunden`);
+    }
+
+    console.log(`✓ Lösung ${solutionId} ${accepted ? 'akzeptiert' : 'nicht mehr akzeptiert'}`);
+    return solution;
+
+  } catch (error) {
+    console.error('✗ Fehler bei setSolutionAccepted:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 👍 Lösung bewerten (eine Stimme pro User, erneutes Bewerten ändert die Richtung)
+ * @param {string} solutionId - Lösungs-ID (UUID)
+ * @param {string} direction - 'up' oder 'down'
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @param {string} [options.userId] - Abstimmender User
+ * @returns {Object} Lösung mit aktualisierten Zählern
+ */
+export async function voteSolution(solutionId, direction, { workspace = DEFAULT_WORKSPACE, userId = 'anonymous' } = {}) {
+  try {
+    if (!solutionId) {
+      throw new Error('Lösungs-ID ist erforderlich');
+    }
+
+    if (!['up', 'down'].includes(direction)) {
+      throw new Error("Validierungsfehler: direction muss 'up' oder 'down' sein");
+    }
+
+    await findSolutionInWorkspace(solutionId, workspace, { write: true });
+    const solution = await getRepository().solutions.vote(solutionId, userId, direction);
+
+    if (!solution) {
+      throw new Error(`Lösung ${solutionId} nicht gefunden`);
+    }
+
+    console.log(`✓ Lösung ${solutionId} bewertet (${direction})`);
+    return solution;
+
+  } catch (error) {
+    console.error('✗ Fehler bei voteSolution:', error.message);
+    throw error;
+  }
+}
+
 /**
  * 📖 Problem mit allen Lösungen abrufen
  * @param {string} problemId - Problem-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
  * @returns {Object} Problem mit solutions-Array
  */
-export async function getProblemWithSolutions(problemId) {
+export async function getProblemWithSolutions(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
   try {
     if (!problemId) {
       throw new Error('Problem-ID ist erforderlich');
     }
 
-    const { data: problem, error } = await supabase
-      .from('problems')
-      .select(`
-        *,
-        solutions (*)
-      `)
-      .eq('id', problemId)
-      .single();
+    const problem = await findProblemInWorkspace(problemId, workspace, { withSolutions: true });
 
-    if (error) {
-      throw new Error(`Fehler beim Abrufen des Problems: ${error.message}`);
-    }
-
-    return problem;
+    return {
+      ...problem,
+      solutions: rankSolutions(problem.solutions)
+    };
 
   } catch (error) {
     console.error('✗ Fehler bei getProblemWithSolutions:', error.message);
@@ -305,54 +772,183 @@ export async function getProblemWithSolutions(problemId) {
 }
 
 /**
- * 📝 Alle Probleme abrufen
+ * 📝 Probleme abrufen (Cursor-Pagination über Sortierfeld + ID)
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Seitengröße
+ * @param {number} [options.offset=0] - Offset (veraltet, nur ohne Cursor)
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @param {Object} [options.filters] - Filter (siehe utils/problemQuery.js)
+ * @param {Array<string>} [options.filters.status] - Nur Probleme mit diesen Status
+ * @param {Array<string>} [options.filters.tags] - Tags
+ * @param {string} [options.filters.tagMode='any'] - 'any' (mind. ein Tag) oder 'all' (alle Tags)
+ * @param {string} [options.filters.createdFrom] - Erstellt ab (ISO)
+ * @param {string} [options.filters.createdTo] - Erstellt bis (ISO)
+ * @param {string} [options.filters.updatedFrom] - Geändert ab (ISO)
+ * @param {string} [options.filters.updatedTo] - Geändert bis (ISO)
+ * @param {string} [options.filters.q] - Volltextsuche (german)
+ * @param {boolean} [options.filters.hasSolutions] - Nur mit (true) bzw. ohne (false) Lösungen
+ * @param {string} [options.sort='created_at'] - Sortierfeld
+ * @param {string} [options.order='desc'] - 'asc' oder 'desc'
+ * @param {string} [options.workspace] - Workspace (eigene und freigegebene Probleme)
+ * @returns {Object} { data, next_cursor, prev_cursor, total? }
+ */
+export async function getAllProblems({
+  limit = DEFAULT_PAGE_SIZE,
+  offset = 0,
+  cursor = null,
+  count = null,
+  filters: listFilters = {},
+  sort = 'created_at',
+  order = 'desc',
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
+  try {
+    const repository = getRepository();
+    const filters = { ...listFilters, workspace };
+
+    const [page, total] = await Promise.all([
+      paginate(
+        ({ limit, order, after }) => repository.problems.list({
+          limit,
+          offset: after ? 0 : offset,
+          filters,
+          sort,
+          order,
+          after
+        }),
+        { limit, cursor, sort, order }
+      ),
+      count ? repository.problems.count({ filters, estimated: count === 'estimated' }) : undefined
+    ]);
+
+    return { ...page, total };
+
+  } catch (error) {
+    console.error('✗ Fehler bei getAllProblems:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🚦 Status eines Problems ändern
+ * Nur Übergänge aus utils/problemStatus.js sind erlaubt; jeder Übergang
+ * wird mit Akteur und Zeitpunkt in der Status-Historie gespeichert.
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {string} status - Ziel-Status
  * @param {Object} [options] - Optionen
- * @param {number} [options.limit=50] - Max. Anzahl
- * @param {number} [options.offset=0] - Offset
- * @returns {Array} Probleme
+ * @param {string} [options.actor='anonymous'] - Wer den Status ändert
+ * @param {string} [options.comment] - Begründung (optional)
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Object} Aktualisiertes Problem inkl. previous_status
  */
-export async function getAllProblems({ limit = 50, offset = 0 } = {}) {
+export async function changeProblemStatus(problemId, status, {
+  actor = 'anonymous',
+  comment = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
   try {
-    const { data: problems, error } = await supabase
-      .from('problems')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    if (!isValidStatus(status)) {
+      throw new Error(`Validierungsfehler: Unbekannter Status '${status}'`);
+    }
+
+    const repository = getRepository();
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true });
+
+    const from = problem.status || DEFAULT_PROBLEM_STATUS;
+
+    if (!canTransition(from, status)) {
+      throw new ApiError(409, `Statusübergang ${from} → ${status} ist nicht erlaubt`, {
+        from,
+        to: status,
+        allowed: allowedTransitions(from)
+      });
+    }
+
+    // Compare-and-Set: schlägt fehl, wenn der Status parallel geändert wurde
+    const updated = await repository.problems.transitionStatus(problemId, {
+      from,
+      to: status,
+      changedBy: actor,
+      comment
+    });
 
-    if (error) {
-      throw new Error(`Fehler beim Abrufen der Probleme: ${error.message}`);
+    if (!updated) {
+      throw new ApiError(409, `Status von Problem ${problemId} wurde zwischenzeitlich geändert`, {
+        expected: from
+      });
     }
 
-    return problems;
+    console.log(`✓ Problem ${problemId}: Status ${from} → ${status} (${actor})`);
+    return {
+      ...updated,
+      previous_status: from
+    };
 
   } catch (error) {
-    console.error('✗ Fehler bei getAllProblems:', error.message);
+    console.error('✗ Fehler bei changeProblemStatus:', error.message);
     throw error;
   }
 }
 
 /**
- * 🗑️ Problem löschen (inkl. Embeddings und Lösungen via CASCADE)
+ * 📜 Status-Historie eines Problems abrufen (neueste zuerst)
  * @param {string} problemId - Problem-ID (UUID)
- * @returns {boolean} Erfolg
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Array} Statusübergänge
  */
-export async function deleteProblem(problemId) {
+export async function getProblemStatusHistory(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
   try {
     if (!problemId) {
       throw new Error('Problem-ID ist erforderlich');
     }
 
-    const { error } = await supabase
-      .from('problems')
-      .delete()
-      .eq('id', problemId);
+    await findProblemInWorkspace(problemId, workspace);
+
+    return await getRepository().statusHistory.listByProblemId(problemId);
 
-    if (error) {
-      throw new Error(`Fehler beim Löschen des Problems: ${error.message}`);
+  } catch (error) {
+    console.error('✗ Fehler bei getProblemStatusHistory:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🗑️ Problem in den Papierkorb verschieben
+ * Lösungen und Embeddings bleiben erhalten; das Problem taucht in Listen und
+ * Suchen nicht mehr auf und wird nach TRASH_RETENTION_DAYS endgültig gelöscht.
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @param {string} [options.actor='anonymous'] - Wer löscht
+ * @returns {Object} Gelöschtes Problem inkl. purge_at und changes
+ */
+export async function deleteProblem(problemId, { workspace = DEFAULT_WORKSPACE, actor = 'anonymous' } = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
     }
 
-    console.log(`✓ Problem ${problemId} gelöscht (inkl. Embeddings und Lösungen)`);
-    return true;
+    const previous = await findProblemInWorkspace(problemId, workspace, { write: true });
+    const problem = await getRepository().problems.update(problemId, {
+      deleted_at: new Date().toISOString(),
+      deleted_by: actor
+    });
+
+    if (!problem) {
+      throw new Error(`Problem ${problemId} nicht gefunden`);
+    }
+
+    console.log(`✓ Problem ${problemId} in den Papierkorb verschoben (${actor})`);
+    return {
+      ...withPurgeDate(problem),
+      changes: diffFields(previous, problem, AUDITED_FIELDS.problem)
+    };
 
   } catch (error) {
     console.error('✗ Fehler bei deleteProblem:', error.message);
@@ -361,41 +957,178 @@ export async function deleteProblem(problemId) {
 }
 
 /**
- * 🔄 Embedding für bestehendes Problem aktualisieren
+ * ♻️ Problem aus dem Papierkorb wiederherstellen
  * @param {string} problemId - Problem-ID (UUID)
- * @returns {Object} Aktualisiertes Embedding
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (muss das Problem besitzen)
+ * @returns {Object} Wiederhergestelltes Problem inkl. changes
  */
-export async function updateEmbedding(problemId) {
+export async function restoreProblem(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
   try {
-    // Problem abrufen
-    const { data: problem, error: problemError } = await supabase
-      .from('problems')
-      .select('title, description')
-      .eq('id', problemId)
-      .single();
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    const previous = await findProblemInWorkspace(problemId, workspace, { write: true, trashed: true });
+    const problem = await getRepository().problems.update(problemId, {
+      deleted_at: null,
+      deleted_by: null
+    });
+
+    if (!problem) {
+      throw new Error(`Problem ${problemId} nicht gefunden`);
+    }
+
+    console.log(`✓ Problem ${problemId} wiederhergestellt`);
+    return {
+      ...problem,
+      changes: diffFields(previous, problem, AUDITED_FIELDS.problem)
+    };
+
+  } catch (error) {
+    console.error('✗ Fehler bei restoreProblem:', error.message);
+    throw error;
+  }
+}
 
-    if (problemError) {
-      throw new Error(`Problem nicht gefunden: ${problemError.message}`);
+/**
+ * 🔥 Problem endgültig löschen (inkl. Embeddings und Lösungen via CASCADE)
+ * Nur für Probleme im Papierkorb.
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (muss das Problem besitzen)
+ * @returns {Object} Endgültig gelöschtes Problem (letzter Stand) inkl. changes
+ */
+export async function purgeProblem(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
     }
 
-    // Neues Embedding generieren (async mit all-MiniLM-L6-v2)
-    const textForEmbedding = `${problem.title} ${problem.description}`;
-    const embedding = await generateEmbedding(textForEmbedding);
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true, trashed: true });
+    const deleted = await getRepository().problems.delete(problemId);
+
+    if (!deleted) {
+      throw new Error(`Problem ${problemId} nicht gefunden`);
+    }
+
+    console.log(`✓ Problem ${problemId} endgültig gelöscht (inkl. Embeddings und Lösungen)`);
+    return {
+      ...problem,
+      changes: diffFields(problem, null, AUDITED_FIELDS.problem)
+    };
+
+  } catch (error) {
+    console.error('✗ Fehler bei purgeProblem:', error.message);
+    throw error;
+  }
+}
 
-    // Embedding aktualisieren oder einfügen
-    const { data, error } = await supabase
-      .from('embeddings')
-      .upsert({
-        problem_id: problemId,
-        vector: embedding,
-        model_name: 'all-MiniLM-L6-v2'
-      })
-      .select()
-      .single();
+/**
+ * 🗑️ Papierkorb abrufen (zuletzt gelöschte zuerst, Cursor-Pagination)
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @param {string} [options.workspace] - Workspace (nur eigene Probleme)
+ * @returns {Object} { data (inkl. purge_at), next_cursor, prev_cursor, total? }
+ */
+export async function getTrash({
+  limit = DEFAULT_PAGE_SIZE,
+  cursor = null,
+  count = null,
+  workspace = DEFAULT_WORKSPACE
+} = {}) {
+  try {
+    const repository = getRepository();
+    const filters = { trashed: true, workspace };
+
+    const [page, total] = await Promise.all([
+      paginate(
+        ({ limit, order, after }) => repository.problems.list({ limit, filters, sort: 'deleted_at', order, after }),
+        { limit, cursor, sort: 'deleted_at', order: 'desc' }
+      ),
+      count ? repository.problems.count({ filters, estimated: count === 'estimated' }) : undefined
+    ]);
+
+    return { ...page, data: page.data.map(withPurgeDate), total };
+
+  } catch (error) {
+    console.error('✗ Fehler bei getTrash:', error.message);
+    throw error;
+  }
+}
 
-    if (error) {
-      throw new Error(`Fehler beim Aktualisieren des Embeddings: ${error.message}`);
+/**
+ * 🧹 Papierkorb leeren
+ * Ohne olderThanDays werden alle gelöschten Probleme des Workspaces entfernt.
+ * @param {Object} [options] - Optionen
+ * @param {string|null} [options.workspace] - Workspace (null = alle, nur für den Aufräum-Job)
+ * @param {number} [options.olderThanDays] - Nur Einträge, die länger im Papierkorb liegen
+ * @returns {Object} { purged, ids }
+ */
+export async function purgeTrash({ workspace = DEFAULT_WORKSPACE, olderThanDays = null } = {}) {
+  try {
+    const deletedBefore = olderThanDays !== null
+      ? new Date(Date.now() - olderThanDays * DAY_MS).toISOString()
+      : null;
+
+    const ids = await getRepository().problems.purgeTrash({ workspace, deletedBefore });
+
+    if (ids.length > 0) {
+      console.log(`✓ ${ids.length} Probleme endgültig aus dem Papierkorb gelöscht`);
     }
+    return { purged: ids.length, ids };
+
+  } catch (error) {
+    console.error('✗ Fehler bei purgeTrash:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🧹 Abgelaufene Einträge aller Workspaces endgültig löschen (TRASH_RETENTION_DAYS)
+ * @returns {Object} { purged, ids }
+ */
+export async function purgeExpiredTrash() {
+  return purgeTrash({ workspace: null, olderThanDays: TRASH_RETENTION_DAYS });
+}
+
+/**
+ * Zeitpunkt der endgültigen Löschung ergänzen
+ * @private
+ */
+function withPurgeDate(problem) {
+  return {
+    ...problem,
+    purge_at: new Date(new Date(problem.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * 🔄 Embedding für bestehendes Problem aktualisieren
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Array<Object>} Aktualisierte Embeddings (ein Eintrag pro Chunk)
+ */
+export async function updateEmbedding(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    const repository = getRepository();
+
+    // Problem abrufen
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true });
+
+    // Neue Chunk-Embeddings generieren (async mit dem aktiven Modell)
+    const chunks = await generateProblemEmbeddings(problem);
+
+    // Embeddings aktualisieren oder einfügen
+    const data = await repository.embeddings.upsert({
+      problem_id: problemId,
+      model_name: EMBEDDING_MODEL,
+      workspace_id: workspaceOf(problem),
+      chunks
+    });
 
     console.log(`✓ Embedding für Problem ${problemId} aktualisiert`);
     return data;
@@ -412,11 +1145,18 @@ export async function updateEmbedding(problemId) {
  * @param {Object} updateData - Zu aktualisierende Daten
  * @param {string} [updateData.title] - Neuer Titel
  * @param {string} [updateData.description] - Neue Beschreibung
- * @param {Array<string>} [updateData.tags] - Neue Tags
- * @param {boolean} [regenerateEmbedding=true] - Embedding neu generieren?
- * @returns {Object} Aktualisiertes Problem
+ * @param {Array<string>|string} [updateData.tags] - Neue Tags (werden normalisiert)
+ * @param {boolean} [regenerateEmbedding=true] - Embedding neu generieren (über die Warteschlange)?
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @param {string} [options.actor='anonymous'] - Autor der neuen Revision
+ * @returns {Object} Aktualisiertes Problem inkl. changes ({ feld: { before, after } })
+ *   und embedding_job_id, falls das Embedding neu generiert wird
  */
-export async function updateProblem(problemId, updateData, regenerateEmbedding = true) {
+export async function updateProblem(problemId, updateData, regenerateEmbedding = true, {
+  workspace = DEFAULT_WORKSPACE,
+  actor = 'anonymous'
+} = {}) {
   try {
     if (!problemId) {
       throw new Error('Problem-ID ist erforderlich');
@@ -426,36 +1166,27 @@ export async function updateProblem(problemId, updateData, regenerateEmbedding =
     const cleanData = {};
     if (updateData.title) cleanData.title = updateData.title.trim();
     if (updateData.description) cleanData.description = updateData.description.trim();
-    if (updateData.tags !== undefined) cleanData.tags = updateData.tags;
+    if (updateData.tags !== undefined) cleanData.tags = normalizeTags(updateData.tags);
 
     if (Object.keys(cleanData).length === 0) {
       throw new Error('Keine Daten zum Aktualisieren angegeben');
     }
 
-    // Problem aktualisieren
-    const { data: problem, error } = await supabase
-      .from('problems')
-      .update(cleanData)
-      .eq('id', problemId)
-      .select()
-      .single();
+    // Problem aktualisieren (schreibt eine neue Revision)
+    const previous = await findProblemInWorkspace(problemId, workspace, { write: true });
+    const problem = await getRepository().problems.revise(problemId, cleanData, { changedBy: actor });
 
-    if (error) {
-      throw new Error(`Fehler beim Aktualisieren des Problems: ${error.message}`);
+    if (!problem) {
+      throw new Error(`Problem ${problemId} nicht gefunden`);
     }
 
+    problem.changes = diffFields(previous, problem, AUDITED_FIELDS.problem);
+
     console.log(`✓ Problem ${problemId} aktualisiert`);
 
     // Embedding neu generieren wenn Title oder Description geändert wurde
-    if (regenerateEmbedding && (updateData.title || updateData.description)) {
-      console.log('🔄 Generiere neues Embedding...');
-      try {
-        await updateEmbedding(problemId);
-        problem.embedding_updated = true;
-      } catch (embError) {
-        console.warn('⚠️ Warnung: Embedding konnte nicht aktualisiert werden:', embError.message);
-        problem.embedding_updated = false;
-      }
+    if (regenerateEmbedding && (problem.changes.title || problem.changes.description)) {
+      Object.assign(problem, await scheduleEmbedding(problem));
     }
 
     return problem;
@@ -466,14 +1197,249 @@ export async function updateProblem(problemId, updateData, regenerateEmbedding =
   }
 }
 
+/**
+ * 📚 Revisionen eines Problems abrufen (neueste Version zuerst)
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @returns {Array} Revisionen (version, title, description, tags, changed_fields, changed_by)
+ */
+export async function getProblemRevisions(problemId, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    await findProblemInWorkspace(problemId, workspace);
+
+    return await getRepository().revisions.listByProblemId(problemId);
+
+  } catch (error) {
+    console.error('✗ Fehler bei getProblemRevisions:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * ⏪ Problem auf eine frühere Revision zurücksetzen
+ * Legt eine neue Revision mit reverted_from an; das Embedding wird über die
+ * Warteschlange neu generiert (embedding_job_id).
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {number} version - Wiederherzustellende Version
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers
+ * @param {string} [options.actor='anonymous'] - Autor der neuen Revision
+ * @returns {Object} Aktualisiertes Problem inkl. changes und reverted_from
+ */
+export async function revertProblem(problemId, version, {
+  workspace = DEFAULT_WORKSPACE,
+  actor = 'anonymous'
+} = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    const repository = getRepository();
+    const previous = await findProblemInWorkspace(problemId, workspace, { write: true });
+    const revision = await repository.revisions.findByVersion(problemId, version);
+
+    if (!revision) {
+      throw new Error(`Revision ${version} von Problem ${problemId} nicht gefunden`);
+    }
+
+    const problem = await repository.problems.revise(problemId, {
+      title: revision.title,
+      description: revision.description,
+      tags: revision.tags || []
+    }, {
+      changedBy: actor,
+      revertedFrom: version
+    });
+
+    if (!problem) {
+      throw new Error(`Problem ${problemId} nicht gefunden`);
+    }
+
+    problem.changes = diffFields(previous, problem, AUDITED_FIELDS.problem);
+    problem.reverted_from = version;
+
+    console.log(`✓ Problem ${problemId} auf Revision ${version} zurückgesetzt`);
+
+    if (problem.changes.title || problem.changes.description) {
+      Object.assign(problem, await scheduleEmbedding(problem));
+    }
+
+    return problem;
+
+  } catch (error) {
+    console.error('✗ Fehler bei revertProblem:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🤝 Problem für einen anderen Workspace freigeben (nur lesend)
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {string} targetWorkspace - Workspace, der das Problem sehen soll
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (muss das Problem besitzen)
+ * @returns {Object} Problem mit aktualisiertem shared_with
+ */
+export async function shareProblem(problemId, targetWorkspace, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    if (!isValidWorkspaceId(targetWorkspace)) {
+      throw new Error(`Validierungsfehler: Ungültige Workspace-ID '${targetWorkspace}'`);
+    }
+
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true });
+
+    if (isOwnedBy(problem, targetWorkspace)) {
+      throw new Error(`Validierungsfehler: Problem gehört bereits zu Workspace '${targetWorkspace}'`);
+    }
+
+    const sharedWith = problem.shared_with || [];
+    if (sharedWith.includes(targetWorkspace)) {
+      return problem;
+    }
+
+    const updated = await getRepository().problems.update(problemId, {
+      shared_with: [...sharedWith, targetWorkspace]
+    });
+
+    console.log(`✓ Problem ${problemId} für Workspace '${targetWorkspace}' freigegeben`);
+    return updated;
+
+  } catch (error) {
+    console.error('✗ Fehler bei shareProblem:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🔒 Freigabe eines Problems für einen Workspace entfernen
+ * @param {string} problemId - Problem-ID (UUID)
+ * @param {string} targetWorkspace - Workspace, dessen Freigabe entfernt wird
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace des Aufrufers (muss das Problem besitzen)
+ * @returns {Object} Problem mit aktualisiertem shared_with
+ */
+export async function unshareProblem(problemId, targetWorkspace, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    if (!problemId) {
+      throw new Error('Problem-ID ist erforderlich');
+    }
+
+    const problem = await findProblemInWorkspace(problemId, workspace, { write: true });
+    const sharedWith = problem.shared_with || [];
+
+    if (!sharedWith.includes(targetWorkspace)) {
+      throw new Error(`Freigabe für Workspace '${targetWorkspace}' nicht gefunden`);
+    }
+
+    const updated = await getRepository().problems.update(problemId, {
+      shared_with: sharedWith.filter(id => id !== targetWorkspace)
+    });
+
+    console.log(`✓ Freigabe von Problem ${problemId} für Workspace '${targetWorkspace}' entfernt`);
+    return updated;
+
+  } catch (error) {
+    console.error('✗ Fehler bei unshareProblem:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Problem laden und Workspace-Zugriff prüfen
+ * Nicht sichtbare und gelöschte Probleme gelten als nicht gefunden (404); freigegebene
+ * Probleme sind im Ziel-Workspace schreibgeschützt (403). Mit trashed = true werden
+ * nur gelöschte Probleme des eigenen Workspaces gefunden (Papierkorb).
+ * @private
+ */
+async function findProblemInWorkspace(problemId, workspace, {
+  write = false,
+  withSolutions = false,
+  trashed = false
+} = {}) {
+  const problem = await getRepository().problems.findById(problemId, { withSolutions });
+
+  if (!problem || Boolean(problem.deleted_at) !== trashed) {
+    throw new Error(trashed
+      ? `Problem ${problemId} im Papierkorb nicht gefunden`
+      : `Problem ${problemId} nicht gefunden`);
+  }
+
+  if (trashed ? !isOwnedBy(problem, workspace) : !isVisibleIn(problem, workspace)) {
+    throw new Error(`Problem ${problemId} nicht gefunden`);
+  }
+
+  if (write && !isOwnedBy(problem, workspace)) {
+    throw new ApiError(403, `Problem ${problemId} ist aus Workspace '${workspaceOf(problem)}' nur freigegeben (schreibgeschützt)`);
+  }
+
+  return problem;
+}
+
+/**
+ * Lösung laden und Workspace-Zugriff prüfen (Lösungen freigegebener Probleme sind lesbar,
+ * Lösungen gelöschter Probleme gelten als nicht gefunden)
+ * @private
+ */
+async function findSolutionInWorkspace(solutionId, workspace, { write = false } = {}) {
+  const repository = getRepository();
+  const solution = await repository.solutions.findById(solutionId);
+
+  if (!solution) {
+    throw new Error(`Lösung ${solutionId} nicht gefunden`);
+  }
+
+  const problem = await repository.problems.findById(solution.problem_id);
+  if (!problem || problem.deleted_at || !isVisibleIn(problem, workspace)) {
+    throw new Error(`Lösung ${solutionId} nicht gefunden`);
+  }
+
+  if (isOwnedBy(solution, workspace)) {
+    return solution;
+  }
+
+  if (write) {
+    throw new ApiError(403, `Lösung ${solutionId} gehört zu einem freigegebenen Problem (schreibgeschützt)`);
+  }
+
+  return solution;
+}
+
 export default {
   addProblemWithEmbedding,
   semanticSearch,
+  hybridSearch,
+  solutionSearch,
   getSolutionsByProblemId,
   addSolution,
+  getSolutionById,
+  updateSolution,
+  deleteSolution,
+  setSolutionAccepted,
+  voteSolution,
   getProblemWithSolutions,
   getAllProblems,
+  changeProblemStatus,
+  getProblemStatusHistory,
   deleteProblem,
+  restoreProblem,
+  purgeProblem,
+  getTrash,
+  purgeTrash,
+  purgeExpiredTrash,
   updateEmbedding,
-  updateProblem
+  updateProblem,
+  getProblemRevisions,
+  revertProblem,
+  shareProblem,
+  unshareProblem
 };
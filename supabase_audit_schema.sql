@@ -17,6 +17,7 @@ CREATE TABLE IF NOT EXISTS audit_logs (
     user_id TEXT NOT NULL, -- User-ID oder 'anonymous' oder 'system'
     ip_address INET,       -- IP-Adresse des Users
     user_agent TEXT,       -- Browser/Client Info
+    workspace_id TEXT,     -- Workspace des Requests
     
     -- Aktion
     action TEXT NOT NULL,  -- z.B. 'create', 'update', 'delete', 'search'
@@ -47,6 +48,11 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DE
 -- Composite Index für häufige Queries
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action, created_at DESC);
 
+-- Upgrade bestehender Installationen
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS workspace_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace ON audit_logs(workspace_id, created_at DESC);
+
 -- =====================================================
 -- Funktion: Alte Audit-Logs automatisch löschen
 -- Behält nur die letzten 90 Tage
@@ -63,20 +69,22 @@ $$ LANGUAGE plpgsql;
 -- Views für häufige Audit-Abfragen
 -- =====================================================
 
--- View: User-Aktivität der letzten 7 Tage
+-- View: User-Aktivität der letzten 7 Tage (GET /api/audit/activity)
+-- workspace_id steht am Ende, damit CREATE OR REPLACE bestehende Views erweitern kann
 CREATE OR REPLACE VIEW recent_user_activity AS
 SELECT 
     user_id,
     action,
     resource,
     COUNT(*) as action_count,
-    MAX(created_at) as last_action
+    MAX(created_at) as last_action,
+    workspace_id
 FROM audit_logs
 WHERE created_at > NOW() - INTERVAL '7 days'
-GROUP BY user_id, action, resource
+GROUP BY workspace_id, user_id, action, resource
 ORDER BY last_action DESC;
 
--- View: Fehlerhafte Requests
+-- View: Fehlerhafte Requests (entspricht GET /api/audit?statusFrom=400)
 CREATE OR REPLACE VIEW failed_requests AS
 SELECT 
     user_id,
@@ -0,0 +1,43 @@
+-- =====================================================
+-- Auth Schema für Supabase
+-- API-Keys für Service-Accounts und Skripte
+-- (JWTs werden ohne Datenbank gegen Secret/JWKS geprüft)
+-- =====================================================
+
+-- Extension für UUID (falls nicht aktiviert)
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- Tabelle: api_keys
+-- Gespeichert wird nur der SHA-256-Hash des Keys,
+-- der Klartext wird einmalig von create_api_key.js ausgegeben
+-- =====================================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL CHECK (char_length(name) > 0), -- z.B. 'ci-import'
+    key_hash TEXT NOT NULL UNIQUE,  -- SHA-256 (hex) des Keys
+    key_prefix TEXT NOT NULL,       -- Erste Zeichen zur Wiedererkennung (itp_ab12...)
+    user_id TEXT NOT NULL,          -- Landet als req.user.id im Audit-Trail
+    role TEXT NOT NULL DEFAULT 'contributor',
+    workspace_id TEXT,              -- Fester Workspace, NULL = Default (Admins: X-Workspace-Id)
+    expires_at TIMESTAMPTZ,         -- NULL = läuft nicht ab
+    revoked_at TIMESTAMPTZ,         -- NULL = aktiv
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+-- Upgrade bestehender Installationen
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS workspace_id TEXT;
+
+-- =====================================================
+-- Beispiel-Queries
+-- =====================================================
+
+-- Key widerrufen:
+-- UPDATE api_keys SET revoked_at = NOW() WHERE key_prefix = 'itp_ab12cd34';
+
+-- Aktive Keys eines Users:
+-- SELECT name, key_prefix, role, last_used_at FROM api_keys
+-- WHERE user_id = 'user-123' AND revoked_at IS NULL;
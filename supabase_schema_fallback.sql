@@ -14,6 +14,16 @@ CREATE TABLE IF NOT EXISTS problems (
     title TEXT NOT NULL CHECK (char_length(title) > 0),
     description TEXT NOT NULL CHECK (char_length(description) > 0),
     tags TEXT[],
+    status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'in_progress', 'resolved', 'closed', 'wont_fix')),
+    solution_count INTEGER NOT NULL DEFAULT 0, -- Gepflegt per Trigger auf solutions
+    workspace_id TEXT NOT NULL DEFAULT 'default', -- Mandant (Abteilung)
+    shared_with TEXT[] NOT NULL DEFAULT '{}', -- Workspaces mit Lesezugriff (Freigabe)
+    deleted_at TIMESTAMPTZ, -- Papierkorb: gesetzt = gelöscht (wird nach TRASH_RETENTION_DAYS endgültig entfernt)
+    deleted_by TEXT,
+    embedding_status TEXT NOT NULL DEFAULT 'pending' -- Embedding per Warteschlange (embedding_jobs)
+        CHECK (embedding_status IN ('pending', 'ready', 'failed')),
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('german', title || ' ' || description)) STORED,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -23,6 +33,94 @@ USING gin(to_tsvector('german', title || ' ' || description));
 
 CREATE INDEX IF NOT EXISTS idx_problems_created_at ON problems(created_at DESC);
 
+-- Upgrade bestehender Installationen
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'in_progress', 'resolved', 'closed', 'wont_fix'));
+
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS solution_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('german', title || ' ' || description)) STORED;
+
+-- Index für Status-Filter
+CREATE INDEX IF NOT EXISTS idx_problems_status ON problems(status);
+
+-- Indizes für Listen-Filter und Sortierung (GET /api/problems)
+CREATE INDEX IF NOT EXISTS idx_problems_search_vector ON problems USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_problems_updated_at ON problems(updated_at DESC);
+
+-- Index für Tag-Filter und Tag-Verwaltung (tags && ARRAY[...])
+CREATE INDEX IF NOT EXISTS idx_problems_tags ON problems USING gin(tags);
+
+-- Upgrade bestehender Installationen: bisherige Daten landen im Workspace 'default'
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS workspace_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS shared_with TEXT[] NOT NULL DEFAULT '{}';
+
+-- Indizes für Workspace-Isolation und Freigaben (shared_with @> ARRAY[...])
+CREATE INDEX IF NOT EXISTS idx_problems_workspace ON problems(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_problems_shared_with ON problems USING gin(shared_with);
+
+-- Upgrade bestehender Installationen: Papierkorb (Soft Delete)
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+-- Index für Papierkorb-Liste und Aufräumen abgelaufener Einträge
+CREATE INDEX IF NOT EXISTS idx_problems_trash ON problems(workspace_id, deleted_at DESC)
+WHERE deleted_at IS NOT NULL;
+
+-- Upgrade bestehender Installationen: Embedding-Status (Backfill siehe Trigger weiter unten)
+ALTER TABLE problems ADD COLUMN IF NOT EXISTS embedding_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (embedding_status IN ('pending', 'ready', 'failed'));
+
+-- =====================================================
+-- Tabelle: problem_status_history
+-- Jeder Statusübergang mit Akteur und Zeitpunkt
+-- =====================================================
+CREATE TABLE IF NOT EXISTS problem_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    changed_by TEXT NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_problem_status_history_problem_id
+ON problem_status_history(problem_id, created_at DESC);
+
+-- =====================================================
+-- Tabelle: problem_revisions
+-- Unveränderliche Fassungen von Titel, Beschreibung und Tags
+-- (Version 1 = Ursprungsfassung, danach eine Version pro Änderung)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS problem_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0),
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    tags TEXT[] DEFAULT '{}',
+    changed_fields TEXT[] NOT NULL DEFAULT '{}', -- z.B. {title,description}
+    changed_by TEXT,                             -- NULL bei der Ursprungsfassung
+    reverted_from INTEGER,                       -- Version, auf die zurückgesetzt wurde
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (problem_id, version)
+);
+
+-- Revisionen dürfen nicht nachträglich geändert werden (Löschen nur per CASCADE)
+CREATE OR REPLACE FUNCTION prevent_problem_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'problem_revisions sind unveränderlich';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_problem_revisions_update ON problem_revisions;
+CREATE TRIGGER prevent_problem_revisions_update
+    BEFORE UPDATE ON problem_revisions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_problem_revision_update();
+
 -- =====================================================
 -- Tabelle: solutions
 -- =====================================================
@@ -31,26 +129,142 @@ CREATE TABLE IF NOT EXISTS solutions (
     problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
     description TEXT NOT NULL CHECK (char_length(description) > 0),
     source TEXT,
+    is_accepted BOOLEAN NOT NULL DEFAULT false, -- Hat das Problem tatsächlich gelöst
+    upvotes INTEGER NOT NULL DEFAULT 0,
+    downvotes INTEGER NOT NULL DEFAULT 0,
+    workspace_id TEXT NOT NULL DEFAULT 'default', -- Workspace des Problems
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_solutions_problem_id ON solutions(problem_id);
 
+-- Upgrade bestehender Installationen
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS is_accepted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS upvotes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS downvotes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS workspace_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_solutions_workspace ON solutions(workspace_id);
+
+-- Maximal eine akzeptierte Lösung pro Problem
+CREATE UNIQUE INDEX IF NOT EXISTS idx_solutions_one_accepted ON solutions(problem_id) WHERE is_accepted;
+
+-- =====================================================
+-- Tabelle: solution_votes
+-- Eine Stimme pro User und Lösung; upvotes / downvotes in solutions
+-- werden daraus abgeleitet (vote_solution)
+-- =====================================================
+
+-- Zähler aus der Zeit vor solution_votes (ohne Zuordnung zu Usern) bleiben als Sockel erhalten
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS legacy_upvotes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE solutions ADD COLUMN IF NOT EXISTS legacy_downvotes INTEGER NOT NULL DEFAULT 0;
+
+-- Einmalig beim Anlegen von solution_votes übernehmen (nicht bei jedem Ausführen des Skripts)
+DO $$
+BEGIN
+    IF to_regclass('solution_votes') IS NULL THEN
+        UPDATE solutions SET legacy_upvotes = upvotes, legacy_downvotes = downvotes
+        WHERE upvotes <> 0 OR downvotes <> 0;
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS solution_votes (
+    solution_id UUID NOT NULL REFERENCES solutions(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL, -- req.user.id (API-Key-User oder JWT sub)
+    direction TEXT NOT NULL CHECK (direction IN ('up', 'down')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (solution_id, user_id)
+);
+
 -- =====================================================
 -- Tabelle: embeddings (JSON statt vector)
 -- =====================================================
 CREATE TABLE IF NOT EXISTS embeddings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    problem_id UUID NOT NULL UNIQUE REFERENCES problems(id) ON DELETE CASCADE,
+    problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
     vector JSONB NOT NULL, -- JSON-Array statt vector-Typ
-    model_name TEXT NOT NULL DEFAULT 'tfidf',
+    model_name TEXT NOT NULL DEFAULT 'all-MiniLM-L6-v2', -- Registry-Name (utils/embeddingModels.js)
+    chunk_index INT NOT NULL DEFAULT 0, -- Abschnitt der Beschreibung (lange Texte: mehrere Chunks)
+    chunk_start INT NOT NULL DEFAULT 0, -- Offset des Chunks in der Beschreibung (Zeichen)
+    chunk_length INT, -- Länge des Chunks, NULL = gesamte Beschreibung (Bestandsdaten)
+    workspace_id TEXT NOT NULL DEFAULT 'default', -- Workspace des Problems (Such-Filter)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_embeddings_problem_id ON embeddings(problem_id);
 
+-- Upgrade bestehender Installationen
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS workspace_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_workspace ON embeddings(workspace_id);
+
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS chunk_index INT NOT NULL DEFAULT 0;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS chunk_start INT NOT NULL DEFAULT 0;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS chunk_length INT;
+
+-- Ein Embedding pro Problem, Modell und Chunk (Modelle nebeneinander, Wechsel per EMBEDDING_MODEL)
+ALTER TABLE embeddings DROP CONSTRAINT IF EXISTS embeddings_problem_id_key;
+ALTER TABLE embeddings ALTER COLUMN model_name SET DEFAULT 'all-MiniLM-L6-v2';
+DROP INDEX IF EXISTS idx_embeddings_problem_model;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embeddings_problem_model_chunk ON embeddings(problem_id, model_name, chunk_index);
+
+-- =====================================================
+-- Tabelle: solution_embeddings (JSON statt vector)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS solution_embeddings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    solution_id UUID NOT NULL REFERENCES solutions(id) ON DELETE CASCADE,
+    problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+    vector JSONB NOT NULL,
+    model_name TEXT NOT NULL DEFAULT 'all-MiniLM-L6-v2',
+    workspace_id TEXT NOT NULL DEFAULT 'default',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_solution_embeddings_problem_id ON solution_embeddings(problem_id);
+
+-- Upgrade bestehender Installationen
+ALTER TABLE solution_embeddings ADD COLUMN IF NOT EXISTS workspace_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_solution_embeddings_workspace ON solution_embeddings(workspace_id);
+
+-- Ein Embedding pro Lösung und Modell
+ALTER TABLE solution_embeddings DROP CONSTRAINT IF EXISTS solution_embeddings_solution_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_solution_embeddings_solution_model ON solution_embeddings(solution_id, model_name);
+
+-- =====================================================
+-- Tabelle: embedding_jobs
+-- Warteschlange für die Embedding-Generierung (siehe embeddingJobService.js)
+-- Fehlgeschlagene Versuche werden mit exponentiellem Backoff (run_at) wiederholt
+-- =====================================================
+CREATE TABLE IF NOT EXISTS embedding_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    problem_id UUID NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+    workspace_id TEXT NOT NULL DEFAULT 'default', -- Workspace des Problems (GET /api/jobs/:id)
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+    last_error TEXT,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- Frühester (nächster) Versuch
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index für den Worker (nächster fälliger Job)
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_pending ON embedding_jobs(run_at)
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_problem_id ON embedding_jobs(problem_id);
+
 -- =====================================================
 -- Trigger: updated_at automatisch aktualisieren
 -- =====================================================
@@ -80,11 +294,420 @@ CREATE TRIGGER update_embeddings_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_solution_embeddings_updated_at ON solution_embeddings;
+CREATE TRIGGER update_solution_embeddings_updated_at
+    BEFORE UPDATE ON solution_embeddings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_embedding_jobs_updated_at ON embedding_jobs;
+CREATE TRIGGER update_embedding_jobs_updated_at
+    BEFORE UPDATE ON embedding_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- Trigger: problems.solution_count pflegen
+-- Ermöglicht Filter/Sortierung nach Lösungen ohne Join
+-- =====================================================
+CREATE OR REPLACE FUNCTION update_problem_solution_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.problem_id = OLD.problem_id THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE problems SET solution_count = solution_count + 1 WHERE id = NEW.problem_id;
+    END IF;
+
+    IF TG_OP IN ('DELETE', 'UPDATE') THEN
+        UPDATE problems SET solution_count = solution_count - 1 WHERE id = OLD.problem_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_problems_solution_count ON solutions;
+CREATE TRIGGER update_problems_solution_count
+    AFTER INSERT OR DELETE OR UPDATE OF problem_id ON solutions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_problem_solution_count();
+
+-- Upgrade bestehender Installationen: Zähler einmalig berechnen
+UPDATE problems p SET solution_count = counts.total
+FROM (
+    SELECT pr.id, COUNT(s.id) AS total
+    FROM problems pr
+    LEFT JOIN solutions s ON s.problem_id = pr.id
+    GROUP BY pr.id
+) counts
+WHERE counts.id = p.id
+  AND p.solution_count <> counts.total;
+
+-- =====================================================
+-- Trigger: problems.embedding_status pflegen
+-- Jedes gespeicherte Embedding (Warteschlange, PUT .../embedding,
+-- migrate_embeddings.js) markiert das Problem als 'ready'
+-- =====================================================
+CREATE OR REPLACE FUNCTION mark_problem_embedding_ready()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE problems SET embedding_status = 'ready'
+    WHERE id = NEW.problem_id
+      AND embedding_status <> 'ready';
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_problems_embedding_status ON embeddings;
+CREATE TRIGGER update_problems_embedding_status
+    AFTER INSERT OR UPDATE ON embeddings
+    FOR EACH ROW
+    EXECUTE FUNCTION mark_problem_embedding_ready();
+
+-- Upgrade bestehender Installationen: Probleme mit Embedding gelten als fertig
+UPDATE problems SET embedding_status = 'ready'
+WHERE embedding_status = 'pending'
+  AND id IN (SELECT problem_id FROM embeddings);
+
+-- =====================================================
+-- Funktion: Lösung als akzeptiert markieren
+-- Setzt andere Lösungen desselben Problems atomar zurück
+-- =====================================================
+CREATE OR REPLACE FUNCTION set_solution_accepted(
+    p_solution_id UUID,
+    p_accepted BOOLEAN DEFAULT true
+)
+RETURNS SETOF solutions AS $$
+BEGIN
+    IF p_accepted THEN
+        UPDATE solutions SET is_accepted = false
+        WHERE problem_id = (SELECT problem_id FROM solutions WHERE id = p_solution_id)
+          AND id <> p_solution_id
+          AND is_accepted;
+    END IF;
+
+    RETURN QUERY
+    UPDATE solutions SET is_accepted = p_accepted
+    WHERE id = p_solution_id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Problem-Status ändern (Compare-and-Set)
+-- Ändert den Status nur, wenn er noch p_from_status ist,
+-- und schreibt den Übergang in problem_status_history
+-- =====================================================
+CREATE OR REPLACE FUNCTION transition_problem_status(
+    p_problem_id UUID,
+    p_from_status TEXT,
+    p_to_status TEXT,
+    p_changed_by TEXT,
+    p_comment TEXT DEFAULT NULL
+)
+RETURNS SETOF problems AS $$
+DECLARE
+    updated problems%ROWTYPE;
+BEGIN
+    UPDATE problems SET status = p_to_status
+    WHERE id = p_problem_id
+      AND status = p_from_status
+    RETURNING * INTO updated;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO problem_status_history (problem_id, from_status, to_status, changed_by, comment)
+    VALUES (p_problem_id, p_from_status, p_to_status, p_changed_by, p_comment);
+
+    RETURN NEXT updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Problem überarbeiten (mit Revision)
+-- Ändert Titel, Beschreibung und/oder Tags (NULL = unverändert, Tags
+-- bereits normalisiert wie in utils/tags.js) und
+-- schreibt die neue Fassung in problem_revisions. Fehlt die Historie
+-- (Probleme von vor der Einführung), wird vorher die Ursprungsfassung
+-- als Version 1 gesichert. Ohne Änderung wird keine Revision angelegt.
+-- =====================================================
+CREATE OR REPLACE FUNCTION revise_problem(
+    p_problem_id UUID,
+    p_title TEXT DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_changed_by TEXT DEFAULT NULL,
+    p_reverted_from INTEGER DEFAULT NULL
+)
+RETURNS SETOF problems AS $$
+DECLARE
+    current problems%ROWTYPE;
+    updated problems%ROWTYPE;
+    fields TEXT[] := '{}';
+    latest INTEGER;
+BEGIN
+    -- Zeile sperren: parallele Überarbeitungen erhalten fortlaufende Versionen
+    SELECT * INTO current FROM problems WHERE id = p_problem_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF p_title IS NOT NULL AND p_title IS DISTINCT FROM current.title THEN
+        fields := fields || 'title'::TEXT;
+    END IF;
+    IF p_description IS NOT NULL AND p_description IS DISTINCT FROM current.description THEN
+        fields := fields || 'description'::TEXT;
+    END IF;
+    IF p_tags IS NOT NULL AND p_tags IS DISTINCT FROM current.tags THEN
+        fields := fields || 'tags'::TEXT;
+    END IF;
+
+    IF cardinality(fields) = 0 THEN
+        RETURN NEXT current;
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(MAX(version), 0) INTO latest
+    FROM problem_revisions
+    WHERE problem_id = p_problem_id;
+
+    IF latest = 0 THEN
+        INSERT INTO problem_revisions (problem_id, version, title, description, tags, created_at)
+        VALUES (p_problem_id, 1, current.title, current.description, current.tags, current.created_at);
+        latest := 1;
+    END IF;
+
+    UPDATE problems SET
+        title = COALESCE(p_title, title),
+        description = COALESCE(p_description, description),
+        tags = COALESCE(p_tags, tags)
+    WHERE id = p_problem_id
+    RETURNING * INTO updated;
+
+    INSERT INTO problem_revisions (
+        problem_id, version, title, description, tags, changed_fields, changed_by, reverted_from
+    )
+    VALUES (
+        p_problem_id, latest + 1, updated.title, updated.description, updated.tags,
+        fields, p_changed_by, p_reverted_from
+    );
+
+    RETURN NEXT updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Nächsten fälligen Embedding-Job übernehmen
+-- Setzt ihn auf 'running' und zählt den Versuch; SKIP LOCKED
+-- verhindert, dass zwei Worker denselben Job erhalten
+-- =====================================================
+CREATE OR REPLACE FUNCTION claim_embedding_job()
+RETURNS SETOF embedding_jobs AS $$
+DECLARE
+    claimed embedding_jobs%ROWTYPE;
+BEGIN
+    UPDATE embedding_jobs SET
+        status = 'running',
+        attempts = attempts + 1,
+        started_at = NOW()
+    WHERE id = (
+        SELECT id FROM embedding_jobs
+        WHERE status = 'pending'
+          AND run_at <= NOW()
+        ORDER BY run_at, created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING * INTO claimed;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN NEXT claimed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Embedding-Jobs nach einem Neustart wieder einreihen
+-- Nur 'running' (abgebrochen), mit den bisherigen Versuchen.
+-- 'failed' bleibt fehlgeschlagen (erneut: POST /api/jobs/:id/retry).
+-- Annahme: genau ein Worker-Prozess (sonst würden laufende Jobs
+-- anderer Instanzen doppelt ausgeführt)
+-- =====================================================
+CREATE OR REPLACE FUNCTION recover_embedding_jobs()
+RETURNS INTEGER AS $$
+DECLARE
+    recovered INTEGER;
+BEGIN
+    UPDATE embedding_jobs SET
+        status = 'pending',
+        run_at = NOW(),
+        completed_at = NULL
+    WHERE status = 'running';
+
+    GET DIAGNOSTICS recovered = ROW_COUNT;
+    RETURN recovered;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktionen: Tag-Verwaltung
+-- Tags werden klein geschrieben, getrimmt und dedupliziert
+-- (gleiche Regeln wie utils/tags.js)
+-- =====================================================
+CREATE OR REPLACE FUNCTION normalize_tags(tags TEXT[])
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(tag ORDER BY first_pos), '{}')
+    FROM (
+        SELECT tag, MIN(pos) AS first_pos
+        FROM (
+            SELECT lower(regexp_replace(btrim(u.t, E' \t\r\n'), '\s+', ' ', 'g')) AS tag, u.pos
+            FROM unnest(tags) WITH ORDINALITY AS u(t, pos)
+        ) cleaned
+        WHERE tag <> ''
+        GROUP BY tag
+    ) normalized;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Upgrade bestehender Installationen: vorhandene Tags normalisieren
+UPDATE problems SET tags = normalize_tags(tags)
+WHERE tags IS DISTINCT FROM normalize_tags(tags);
+
+-- Tags mit Anzahl der Probleme (optional nur mit Präfix, für Autocomplete)
+DROP FUNCTION IF EXISTS list_tags(TEXT, INT);
+
+CREATE OR REPLACE FUNCTION list_tags(
+    tag_prefix TEXT DEFAULT NULL,
+    match_count INT DEFAULT 50,
+    filter_workspace TEXT DEFAULT NULL -- NULL = alle Workspaces
+)
+RETURNS TABLE (
+    tag TEXT,
+    usage_count BIGINT
+) AS $$
+    SELECT t.tag, COUNT(*) AS usage_count
+    FROM problems p, unnest(p.tags) AS t(tag)
+    WHERE (tag_prefix IS NULL OR starts_with(t.tag, tag_prefix))
+      AND (filter_workspace IS NULL OR p.workspace_id = filter_workspace)
+      AND p.deleted_at IS NULL
+    GROUP BY t.tag
+    ORDER BY usage_count DESC, t.tag
+    LIMIT match_count;
+$$ LANGUAGE sql STABLE;
+
+-- Tags in allen Problemen ersetzen (Umbenennen / Zusammenführen)
+-- Liefert die Anzahl der geänderten Probleme
+DROP FUNCTION IF EXISTS replace_tags(TEXT[], TEXT);
+
+CREATE OR REPLACE FUNCTION replace_tags(
+    p_from TEXT[],
+    p_to TEXT,
+    p_workspace TEXT DEFAULT NULL -- NULL = alle Workspaces
+)
+RETURNS INTEGER AS $$
+DECLARE
+    affected INTEGER;
+BEGIN
+    UPDATE problems p SET tags = normalize_tags(ARRAY(
+        SELECT CASE WHEN u.t = ANY(p_from) THEN p_to ELSE u.t END
+        FROM unnest(p.tags) WITH ORDINALITY AS u(t, pos)
+        ORDER BY u.pos
+    ))
+    WHERE p.tags && p_from
+      AND (p_workspace IS NULL OR p.workspace_id = p_workspace);
+
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    RETURN affected;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Lösung bewerten (eine Stimme pro User)
+-- Erneute Stimme mit anderer Richtung dreht die bisherige um, gleiche
+-- Richtung ändert nichts. Zähler = Sockel (legacy_*) + Stimmen in solution_votes.
+-- =====================================================
+DROP FUNCTION IF EXISTS vote_solution(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION vote_solution(
+    p_solution_id UUID,
+    p_user_id TEXT,
+    p_direction TEXT
+)
+RETURNS SETOF solutions AS $$
+BEGIN
+    IF p_direction NOT IN ('up', 'down') THEN
+        RAISE EXCEPTION 'Ungültige Vote-Richtung: %', p_direction;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM solutions WHERE id = p_solution_id) THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO solution_votes (solution_id, user_id, direction)
+    VALUES (p_solution_id, p_user_id, p_direction)
+    ON CONFLICT (solution_id, user_id) DO UPDATE SET
+        direction = EXCLUDED.direction,
+        updated_at = NOW()
+    WHERE solution_votes.direction <> EXCLUDED.direction;
+
+    RETURN QUERY
+    UPDATE solutions s SET
+        upvotes = s.legacy_upvotes + (SELECT COUNT(*) FROM solution_votes v WHERE v.solution_id = s.id AND v.direction = 'up'),
+        downvotes = s.legacy_downvotes + (SELECT COUNT(*) FROM solution_votes v WHERE v.solution_id = s.id AND v.direction = 'down')
+    WHERE s.id = p_solution_id
+    RETURNING s.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Funktion: Volltextsuche (german, GIN-Index idx_problems_search)
+-- Liefert die Keyword-Rangliste für die Hybrid-Suche
+-- =====================================================
+DROP FUNCTION IF EXISTS search_problems_fulltext(TEXT, INT);
+DROP FUNCTION IF EXISTS search_problems_fulltext(TEXT, INT, TEXT[]);
+
+CREATE OR REPLACE FUNCTION search_problems_fulltext(
+    query_text TEXT,
+    match_count INT DEFAULT 20,
+    filter_status TEXT[] DEFAULT NULL, -- NULL = alle Status
+    filter_workspace TEXT DEFAULT NULL -- Eigene und freigegebene Probleme, NULL = alle
+)
+RETURNS TABLE (
+    problem_id UUID,
+    rank FLOAT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        p.id,
+        ts_rank_cd(
+            to_tsvector('german', p.title || ' ' || p.description),
+            websearch_to_tsquery('german', query_text)
+        )::FLOAT AS rank
+    FROM problems p
+    WHERE to_tsvector('german', p.title || ' ' || p.description) @@ websearch_to_tsquery('german', query_text)
+      AND (filter_status IS NULL OR p.status = ANY(filter_status))
+      AND (filter_workspace IS NULL OR p.workspace_id = filter_workspace OR filter_workspace = ANY(p.shared_with))
+      AND p.deleted_at IS NULL
+    ORDER BY rank DESC
+    LIMIT match_count;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
 -- =====================================================
 -- Hinweis: Semantische Suche
 -- =====================================================
 -- WICHTIG: Ohne pgvector muss die Cosine-Similarity
 -- in der Node.js-Anwendung berechnet werden!
+-- Dafür in .env setzen: VECTOR_SEARCH_MODE=client
 -- 
 -- 1. Alle Embeddings abrufen:
 --    SELECT problem_id, vector FROM embeddings;
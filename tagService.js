@@ -0,0 +1,107 @@
+/**
+ * Service für Tag-Verwaltung
+ * Autocomplete mit Nutzungszahlen, Umbenennen und Zusammenführen von Tags
+ */
+
+import { getRepository } from './repositories/index.js';
+import { normalizeTag, normalizeTags } from './utils/tags.js';
+import { DEFAULT_WORKSPACE } from './utils/workspaces.js';
+
+/**
+ * 🏷️ Tags mit Anzahl der Probleme abrufen
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.prefix] - Nur Tags mit diesem Präfix (Autocomplete)
+ * @param {number} [options.limit=50] - Max. Anzahl
+ * @param {string} [options.workspace] - Nur Probleme dieses Workspaces
+ * @returns {Array<{tag: string, count: number}>} Tags, häufigste zuerst
+ */
+export async function getTags({ prefix = null, limit = 50, workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    const normalizedPrefix = prefix ? normalizeTag(prefix) : null;
+
+    return await getRepository().tags.list({
+      prefix: normalizedPrefix || null,
+      limit,
+      workspace
+    });
+
+  } catch (error) {
+    console.error('✗ Fehler bei getTags:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * ✏️ Tag in allen Problemen des Workspaces umbenennen
+ * Existiert der neue Name bereits, werden beide Tags zusammengeführt.
+ * @param {string} from - Bisheriger Tag
+ * @param {string} to - Neuer Tag
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace
+ * @returns {Object} { from, to, affected }
+ */
+export async function renameTag(from, to, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    const source = normalizeTag(from || '');
+    const target = normalizeTag(to || '');
+
+    if (!source || !target) {
+      throw new Error('Validierungsfehler: Alter und neuer Tag sind erforderlich');
+    }
+
+    if (source === target) {
+      throw new Error('Validierungsfehler: Alter und neuer Tag sind identisch');
+    }
+
+    const affected = await getRepository().tags.replace([source], target, { workspace });
+
+    if (affected === 0) {
+      throw new Error(`Tag '${source}' nicht gefunden`);
+    }
+
+    console.log(`✓ Tag '${source}' → '${target}' umbenannt (${affected} Probleme)`);
+    return { from: source, to: target, affected };
+
+  } catch (error) {
+    console.error('✗ Fehler bei renameTag:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 🔗 Mehrere Tags im Workspace zu einem Ziel-Tag zusammenführen
+ * @param {Array<string>} sources - Zusammenzuführende Tags
+ * @param {string} target - Ziel-Tag
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspace] - Workspace
+ * @returns {Object} { sources, target, affected }
+ */
+export async function mergeTags(sources, target, { workspace = DEFAULT_WORKSPACE } = {}) {
+  try {
+    const targetTag = normalizeTag(target || '');
+    const sourceTags = normalizeTags(sources).filter(tag => tag !== targetTag);
+
+    if (!targetTag || sourceTags.length === 0) {
+      throw new Error('Validierungsfehler: Mindestens ein Quell-Tag (ungleich Ziel) und ein Ziel-Tag sind erforderlich');
+    }
+
+    const affected = await getRepository().tags.replace(sourceTags, targetTag, { workspace });
+
+    if (affected === 0) {
+      throw new Error(`Tags ${sourceTags.join(', ')} nicht gefunden`);
+    }
+
+    console.log(`✓ Tags ${sourceTags.join(', ')} → '${targetTag}' zusammengeführt (${affected} Probleme)`);
+    return { sources: sourceTags, target: targetTag, affected };
+
+  } catch (error) {
+    console.error('✗ Fehler bei mergeTags:', error.message);
+    throw error;
+  }
+}
+
+export default {
+  getTags,
+  renameTag,
+  mergeTags
+};
@@ -0,0 +1,61 @@
+/**
+ * Tests für das Text-Chunking (utils/chunking.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks } from '../utils/chunking.js';
+
+const words = count => Array.from({ length: count }, (_, i) => `wort${i}`).join(' ');
+
+test('Kurzer Text ergibt genau einen Chunk', () => {
+  assert.deepEqual(splitIntoChunks('Drucker offline', { size: 100, overlap: 20 }), [
+    { index: 0, start: 0, length: 15, text: 'Drucker offline' }
+  ]);
+});
+
+test('Chunks decken den ganzen Text ab und halten die Größe ein', () => {
+  const text = words(200);
+  const chunks = splitIntoChunks(text, { size: 120, overlap: 30 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).start + chunks.at(-1).length, text.length);
+  for (const [i, chunk] of chunks.entries()) {
+    assert.equal(chunk.index, i);
+    assert.ok(chunk.length <= 120);
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.start + chunk.length));
+    if (i > 0) {
+      // Überlappend, aber immer vorwärts
+      assert.ok(chunk.start > chunks[i - 1].start);
+      assert.ok(chunk.start <= chunks[i - 1].start + chunks[i - 1].length);
+    }
+  }
+});
+
+test('Grenzen liegen auf Leerraum, wenn möglich', () => {
+  const chunks = splitIntoChunks(words(100), { size: 80, overlap: 0 });
+  for (const chunk of chunks.slice(0, -1)) {
+    assert.match(chunk.text, /\d$/);
+  }
+});
+
+test('Text ohne Leerraum wird hart geschnitten', () => {
+  const chunks = splitIntoChunks('x'.repeat(250), { size: 100, overlap: 10 });
+  assert.deepEqual(chunks.map(c => [c.start, c.length]), [[0, 100], [90, 100], [180, 70]]);
+});
+
+test('Überlappung größer als der Chunk endet nicht in einer Endlosschleife', () => {
+  for (const [size, overlap] of [[2, 5], [10, 9], [10, 10], [1, 1]]) {
+    const text = 'a '.repeat(50);
+    const chunks = splitIntoChunks(text, { size, overlap });
+    assert.ok(chunks.length <= text.length, `size=${size} overlap=${overlap}`);
+    assert.equal(chunks.at(-1).start + chunks.at(-1).length, text.length);
+  }
+});
+
+test('Ungültige Chunk-Größe wird abgelehnt', () => {
+  for (const size of [0, -5, 1.5, NaN, undefined]) {
+    assert.throws(() => splitIntoChunks('text', { size }), /Chunk-Größe/);
+  }
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests für die JWT-Prüfung (utils/jwt.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { verifyJwt, loadJwks, JwtError } from '../utils/jwt.js';
+
+const SECRET = 'test-secret';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signHs256(payload, header = { alg: 'HS256', typ: 'JWT' }, secret = SECRET) {
+  const input = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(input).digest('base64url');
+  return `${input}.${signature}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('Gültiges HS256-Token liefert den Payload', () => {
+  const payload = { sub: 'user-1', role: 'editor', exp: now() + 60 };
+  assert.deepEqual(verifyJwt(signHs256(payload), { secret: SECRET }), payload);
+});
+
+test('Falsches Secret wird abgelehnt', () => {
+  const token = signHs256({ sub: 'user-1' }, undefined, 'anderes-secret');
+  assert.throws(() => verifyJwt(token, { secret: SECRET }), { name: 'JwtError', message: /Signatur/ });
+});
+
+test('alg "none" wird nie akzeptiert', () => {
+  const token = `${encode({ alg: 'none' })}.${encode({ sub: 'user-1' })}.`;
+  assert.throws(() => verifyJwt(token, { secret: SECRET }), JwtError);
+});
+
+test('Abgelaufene und noch nicht gültige Tokens werden abgelehnt', () => {
+  assert.throws(() => verifyJwt(signHs256({ sub: 'u', exp: now() - 3600 }), { secret: SECRET }), /abgelaufen/);
+  assert.throws(() => verifyJwt(signHs256({ sub: 'u', nbf: now() + 3600 }), { secret: SECRET }), /noch nicht gültig/);
+});
+
+test('Aussteller und Zielgruppe werden geprüft, wenn konfiguriert', () => {
+  const token = signHs256({ sub: 'u', iss: 'idp', aud: ['api', 'web'] });
+  assert.equal(verifyJwt(token, { secret: SECRET, issuer: 'idp', audience: 'api' }).sub, 'u');
+  assert.throws(() => verifyJwt(token, { secret: SECRET, issuer: 'fremd' }), /iss/);
+  assert.throws(() => verifyJwt(token, { secret: SECRET, audience: 'admin' }), /aud/);
+});
+
+test('Kaputte Tokens ergeben JwtError statt TypeError', () => {
+  for (const token of ['abc', 'a.b.c', `${encode(null)}.${encode({ sub: 'u' })}.sig`, `${encode({ alg: 'HS256' })}.${encode([1])}.sig`]) {
+    assert.throws(() => verifyJwt(token, { secret: SECRET }), JwtError, token);
+  }
+});
+
+test('HS256 ohne konfiguriertes Secret wird abgelehnt', () => {
+  assert.throws(() => verifyJwt(signHs256({ sub: 'u' }), { secret: null }), /JWT_SECRET/);
+});
+
+// RS256 über eine JWKS-Datei
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeJwks(publicKey, kid) {
+  const file = path.join(tmpDir, `${kid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid }] }));
+  return loadJwks(file);
+}
+
+function signRs256(payload, privateKey, kid) {
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url');
+  return `${input}.${signature}`;
+}
+
+test('RS256-Token wird mit dem passenden JWKS-Schlüssel geprüft', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = writeJwks(publicKey, 'key-1');
+
+  assert.equal(verifyJwt(signRs256({ sub: 'rsa-user' }, privateKey, 'key-1'), { jwks }).sub, 'rsa-user');
+  assert.throws(() => verifyJwt(signRs256({ sub: 'u' }, privateKey, 'key-2'), { jwks }), /Kein passender Schlüssel/);
+
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  assert.throws(() => verifyJwt(signRs256({ sub: 'u' }, other.privateKey, 'key-1'), { jwks }), /Signatur/);
+});
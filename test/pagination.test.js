@@ -0,0 +1,82 @@
+/**
+ * Tests für die Cursor-Pagination (utils/pagination.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, paginate } from '../utils/pagination.js';
+
+// 7 Einträge, Keyset wie im Memory-Repository: (created_at, id)
+const rows = Array.from({ length: 7 }, (_, i) => ({
+  id: `id-${i}`,
+  created_at: `2024-01-0${i + 1}T00:00:00.000Z`
+}));
+
+function fetchRows({ limit, order, after }) {
+  const sorted = [...rows].sort((a, b) => {
+    const cmp = a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id);
+    return order === 'asc' ? cmp : -cmp;
+  });
+  const filtered = after
+    ? sorted.filter(row => {
+      const cmp = row.created_at.localeCompare(after.value) || row.id.localeCompare(after.id);
+      return order === 'asc' ? cmp > 0 : cmp < 0;
+    })
+    : sorted;
+  return Promise.resolve(filtered.slice(0, limit));
+}
+
+const ids = page => page.data.map(row => row.id);
+
+test('Cursor übersteht encode/decode', () => {
+  const cursor = encodeCursor({ sort: 'created_at', order: 'desc', value: 'x', id: 'id-1', direction: 'next' });
+  assert.deepEqual(decodeCursor(cursor, { sort: 'created_at', order: 'desc' }), {
+    value: 'x', id: 'id-1', direction: 'next'
+  });
+});
+
+test('Ungültiger Cursor wird als Validierungsfehler abgelehnt', () => {
+  assert.throws(() => decodeCursor('kein-cursor', { sort: 'created_at', order: 'desc' }), /Validierungsfehler/);
+  const incomplete = Buffer.from(JSON.stringify({ s: 'created_at', o: 'desc' })).toString('base64url');
+  assert.throws(() => decodeCursor(incomplete, { sort: 'created_at', order: 'desc' }), /Ungültiger Cursor/);
+});
+
+test('Cursor einer anderen Sortierung wird abgelehnt', () => {
+  const cursor = encodeCursor({ sort: 'title', order: 'asc', value: 'a', id: 'id-1', direction: 'next' });
+  assert.throws(() => decodeCursor(cursor, { sort: 'created_at', order: 'desc' }), /anderen Sortierung/);
+});
+
+test('Vorwärts blättern liefert alle Einträge genau einmal', async () => {
+  const first = await paginate(fetchRows, { limit: 3 });
+  assert.deepEqual(ids(first), ['id-6', 'id-5', 'id-4']);
+  assert.equal(first.prev_cursor, null);
+
+  const second = await paginate(fetchRows, { limit: 3, cursor: first.next_cursor });
+  assert.deepEqual(ids(second), ['id-3', 'id-2', 'id-1']);
+  assert.ok(second.prev_cursor);
+
+  const last = await paginate(fetchRows, { limit: 3, cursor: second.next_cursor });
+  assert.deepEqual(ids(last), ['id-0']);
+  assert.equal(last.next_cursor, null);
+});
+
+test('Rückwärts blättern liefert die vorige Seite in Sortierreihenfolge', async () => {
+  const first = await paginate(fetchRows, { limit: 3 });
+  const second = await paginate(fetchRows, { limit: 3, cursor: first.next_cursor });
+
+  const back = await paginate(fetchRows, { limit: 3, cursor: second.prev_cursor });
+  assert.deepEqual(ids(back), ['id-6', 'id-5', 'id-4']);
+  assert.equal(back.prev_cursor, null);
+  assert.ok(back.next_cursor);
+});
+
+test('Neue Einträge verschieben keine Folgeseiten', async () => {
+  const first = await paginate(fetchRows, { limit: 3 });
+  rows.push({ id: 'id-new', created_at: '2024-02-01T00:00:00.000Z' });
+  try {
+    const second = await paginate(fetchRows, { limit: 3, cursor: first.next_cursor });
+    assert.deepEqual(ids(second), ['id-3', 'id-2', 'id-1']);
+  } finally {
+    rows.pop();
+  }
+});
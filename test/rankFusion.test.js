@@ -0,0 +1,59 @@
+/**
+ * Tests für die Reciprocal Rank Fusion der Hybrid-Suche (utils/rankFusion.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion, maxFusedScore } from '../utils/rankFusion.js';
+
+const semantic = [
+  { problem_id: 'a', similarity: 0.9, chunk_index: 2 },
+  { problem_id: 'b', similarity: 0.8, chunk_index: 0 }
+];
+const keyword = [
+  { problem_id: 'b', rank: 0.5 },
+  { problem_id: 'c', rank: 0.3 }
+];
+
+test('Treffer in beiden Listen werden zusammengeführt und summiert', () => {
+  const fused = reciprocalRankFusion(semantic, keyword, { semanticWeight: 1, keywordWeight: 1, k: 60 });
+
+  assert.deepEqual(fused.map(item => item.problem_id), ['b', 'a', 'c']);
+  const b = fused[0];
+  assert.equal(b.semantic, 0.8);
+  assert.equal(b.keyword, 0.5);
+  assert.equal(b.chunk, semantic[1]);
+  assert.equal(b.fused, 1 / 62 + 1 / 61);
+});
+
+test('Nur in einer Liste gefundene Treffer behalten null für die andere', () => {
+  const fused = reciprocalRankFusion(semantic, keyword, { semanticWeight: 1, keywordWeight: 1, k: 60 });
+  const a = fused.find(item => item.problem_id === 'a');
+  const c = fused.find(item => item.problem_id === 'c');
+
+  assert.equal(a.keyword, null);
+  assert.equal(c.semantic, null);
+  assert.equal(c.chunk, null);
+});
+
+test('Gewicht 0 schaltet eine Rangliste ab', () => {
+  const fused = reciprocalRankFusion(semantic, keyword, { semanticWeight: 1, keywordWeight: 0, k: 60 });
+
+  assert.deepEqual(fused.map(item => item.problem_id).slice(0, 2), ['a', 'b']);
+  assert.equal(fused.find(item => item.problem_id === 'c').fused, 0);
+});
+
+test('Gewichte verschieben die Reihenfolge', () => {
+  const fused = reciprocalRankFusion(semantic, keyword, { semanticWeight: 0.2, keywordWeight: 1, k: 60 });
+  assert.deepEqual(fused.map(item => item.problem_id), ['b', 'c', 'a']);
+});
+
+test('Maximaler Score entspricht Rang 1 in beiden Listen', () => {
+  const options = { semanticWeight: 1, keywordWeight: 1, k: 60 };
+  const [top] = reciprocalRankFusion([{ problem_id: 'x', similarity: 1 }], [{ problem_id: 'x', rank: 1 }], options);
+  assert.equal(top.fused, maxFusedScore(options));
+});
+
+test('Leere Listen ergeben keine Treffer', () => {
+  assert.deepEqual(reciprocalRankFusion([], [], { semanticWeight: 1, keywordWeight: 1, k: 60 }), []);
+});
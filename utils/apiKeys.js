@@ -0,0 +1,40 @@
+/**
+ * API-Key-Hilfsfunktionen
+ * Keys haben das Format itp_<43 Zeichen base64url>; gespeichert wird nur der SHA-256-Hash.
+ */
+
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'itp_';
+
+// Sichtbarer Anfang des Keys zur Wiedererkennung in Listen und Logs
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Neuen zufälligen API-Key erzeugen
+ * @returns {{key: string, keyHash: string, keyPrefix: string}} Klartext-Key (nur einmal anzeigen!) und Hash
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH)
+  };
+}
+
+/**
+ * API-Key hashen (SHA-256, hex)
+ * Keys sind zufällig mit 256 Bit - ein langsamer Passwort-Hash ist nicht nötig.
+ * @param {string} key - Klartext-Key
+ * @returns {string} Hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export default {
+  API_KEY_PREFIX,
+  generateApiKey,
+  hashApiKey
+};
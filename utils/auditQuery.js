@@ -0,0 +1,51 @@
+/**
+ * Filter für GET /api/audit
+ * Übersetzt Query-Parameter in die Kriterien von auditLogs.list/count
+ */
+
+import { parseDateBound } from './problemQuery.js';
+
+// Aktionen und Ressourcen: z.B. create, status_change, access_denied
+export const AUDIT_NAME_PATTERN = /^[a-z][a-z_]{0,49}$/;
+
+/**
+ * Kommagetrennte Liste (oder wiederholter Parameter) in Array umwandeln
+ * @param {string|string[]} [value] - Wert
+ * @returns {string[]|null} null = nicht gesetzt
+ */
+export function parseListParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return values.length > 0 ? [...new Set(values)] : null;
+}
+
+/**
+ * Query-Parameter (bereits validiert) in Audit-Kriterien übersetzen
+ * @param {Object} query - req.query
+ * @returns {Object} { userId, actions, resource, resourceId, statusFrom, statusTo, from, to }
+ */
+export function parseAuditQuery(query) {
+  return {
+    userId: query.userId || null,
+    actions: parseListParam(query.action),
+    resource: query.resource || null,
+    resourceId: query.resourceId || null,
+    statusFrom: query.statusFrom !== undefined ? parseInt(query.statusFrom) : null,
+    statusTo: query.statusTo !== undefined ? parseInt(query.statusTo) : null,
+    from: parseDateBound(query.from),
+    to: parseDateBound(query.to, true)
+  };
+}
+
+export default {
+  AUDIT_NAME_PATTERN,
+  parseListParam,
+  parseAuditQuery
+};
@@ -1,10 +1,11 @@
 /**
  * Audit-Trail Service
- * Speichert alle User-Aktionen in Supabase audit_logs
+ * Speichert alle User-Aktionen in audit_logs (über das Storage-Repository)
  */
 
-import { supabase } from '../supabaseClient.js';
+import { getRepository } from '../repositories/index.js';
 import logger, { logAudit } from './logger.js';
+import { paginate } from './pagination.js';
 
 /**
  * Log einer User-Aktion
@@ -14,6 +15,7 @@ import logger, { logAudit } from './logger.js';
  * @param {string} auditData.resource - Ressource (problem, solution, embedding)
  * @param {string} [auditData.resourceId] - ID des Objekts
  * @param {Object} [auditData.req] - Express Request-Objekt
+ * @param {string} [auditData.workspaceId] - Workspace (Default: req.workspaceId)
  * @param {Object} [auditData.metadata] - Zusätzliche Daten
  * @param {number} [auditData.responseStatus] - HTTP-Status
  * @param {string} [auditData.errorMessage] - Fehlermeldung
@@ -26,6 +28,7 @@ export async function logAuditTrail(auditData) {
       resource,
       resourceId = null,
       req = null,
+      workspaceId = req?.workspaceId || null,
       metadata = {},
       responseStatus = 200,
       errorMessage = null
@@ -42,6 +45,7 @@ export async function logAuditTrail(auditData) {
       user_id: userId,
       ip_address: req?.ip || req?.connection?.remoteAddress || null,
       user_agent: req?.get('user-agent') || null,
+      workspace_id: workspaceId,
       action,
       resource,
       resource_id: resourceId,
@@ -55,18 +59,17 @@ export async function logAuditTrail(auditData) {
       error_message: errorMessage
     };
 
-    // In Supabase speichern
-    const { error } = await supabase
-      .from('audit_logs')
-      .insert(auditEntry);
-
-    if (error) {
+    // Im Storage-Backend speichern
+    try {
+      await getRepository().auditLogs.create(auditEntry);
+    } catch (error) {
       logger.error('Fehler beim Speichern des Audit-Logs', { meta: { error: error.message } });
-    } else {
-      // Auch im lokalen Logger loggen
-      logAudit(action, userId, resource, resourceId, metadata);
+      return;
     }
 
+    // Auch im lokalen Logger loggen
+    logAudit(action, userId, resource, resourceId, metadata);
+
   } catch (error) {
     logger.error('Kritischer Fehler bei Audit-Logging', { meta: { error: error.message } });
   }
@@ -94,6 +97,8 @@ function sanitizeRequestBody(body) {
 
 /**
  * Middleware: Audit-Logging für alle Requests
+ * Routen können über res.locals.audit { action, resource, resourceId, metadata }
+ * die abgeleiteten Werte überschreiben bzw. ergänzen.
  * @param {Object} options - Optionen
  * @param {Function} [options.getUserId] - Funktion um User-ID zu extrahieren
  */
@@ -107,19 +112,24 @@ export function auditMiddleware(options = {}) {
     res.json = function(data) {
       // Audit-Log nach Response
       setImmediate(() => {
-        // Nur erfolgreiche Mutationen loggen
-        const shouldLog = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
+        // Mutationen loggen; lesende Requests nur, wenn res.locals.audit gesetzt ist
+        // (z.B. verweigerter Zugriff durch requireRole)
+        const shouldLog = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) || Boolean(res.locals.audit);
         
         if (shouldLog) {
-          const action = {
+          const override = res.locals.audit || {};
+
+          const action = override.action || {
             POST: 'create',
             PUT: 'update',
             PATCH: 'update',
             DELETE: 'delete'
           }[req.method];
 
-          const resource = extractResourceFromPath(req.path);
-          const resourceId = req.params.id || data?.data?.id || null;
+          // originalUrl statt path: innerhalb eines Routers fehlt in req.path das /api-Präfix
+          const urlPath = req.originalUrl.split('?')[0];
+          const resource = override.resource || extractResourceFromPath(urlPath);
+          const resourceId = override.resourceId || req.params.id || extractIdFromPath(urlPath) || data?.data?.id || null;
 
           logAuditTrail({
             userId: getUserId(req),
@@ -130,7 +140,8 @@ export function auditMiddleware(options = {}) {
             responseStatus: res.statusCode,
             metadata: {
               success: res.statusCode < 400,
-              responseSize: JSON.stringify(data).length
+              responseSize: JSON.stringify(data).length,
+              ...override.metadata
             }
           });
         }
@@ -152,7 +163,7 @@ function extractResourceFromPath(path) {
   // /api/solutions/:id -> solution
   // /api/search -> search
   
-  const match = path.match(/\/api\/(problems?|solutions?|search|embeddings?)/);
+  const match = path.match(/\/api\/(problems?|solutions?|search|embeddings?|tags?|audit|trash|jobs?)/);
   if (match) {
     return match[1].replace(/s$/, ''); // Plural -> Singular
   }
@@ -160,22 +171,47 @@ function extractResourceFromPath(path) {
   return 'unknown';
 }
 
+/**
+ * Ressourcen-ID (UUID) aus URL-Pfad extrahieren
+ * Fallback, wenn req.params nicht mehr gesetzt ist (z.B. im Error-Handler)
+ * @private
+ */
+function extractIdFromPath(path) {
+  const match = path.match(/\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:\/|$)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Audit-Logs seitenweise laden (neueste zuerst, Cursor-Pagination)
+ * @private
+ */
+async function listAuditLogs(criteria, { limit, cursor = null, count = null }) {
+  const repository = getRepository();
+
+  const [page, total] = await Promise.all([
+    paginate(
+      ({ limit, order, after }) => repository.auditLogs.list({ ...criteria, limit, order, after }),
+      { limit, cursor, sort: 'created_at', order: 'desc' }
+    ),
+    count ? repository.auditLogs.count({ ...criteria, estimated: count === 'estimated' }) : undefined
+  ]);
+
+  return { ...page, total };
+}
+
 /**
  * Audit-Logs für einen User abrufen
  * @param {string} userId - User-ID
- * @param {number} [limit=50] - Max. Anzahl
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @param {string} [options.workspaceId] - Nur Einträge dieses Workspaces
+ * @returns {Object} { data, next_cursor, prev_cursor, total? }
  */
-export async function getUserAuditLogs(userId, limit = 50) {
+export async function getUserAuditLogs(userId, { limit = 50, cursor = null, count = null, workspaceId = null } = {}) {
   try {
-    const { data, error } = await supabase
-      .from('audit_logs')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-    return data;
+    return await listAuditLogs({ userId, workspaceId }, { limit, cursor, count });
 
   } catch (error) {
     logger.error('Fehler beim Abrufen der Audit-Logs', { meta: { error: error.message } });
@@ -187,20 +223,21 @@ export async function getUserAuditLogs(userId, limit = 50) {
  * Audit-Logs für eine Ressource abrufen
  * @param {string} resourceType - Ressourcen-Typ (problem, solution)
  * @param {string} resourceId - Ressourcen-ID
- * @param {number} [limit=20] - Max. Anzahl
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=20] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @param {string} [options.workspaceId] - Nur Einträge dieses Workspaces
+ * @returns {Object} { data, next_cursor, prev_cursor, total? }
  */
-export async function getResourceAuditLogs(resourceType, resourceId, limit = 20) {
+export async function getResourceAuditLogs(resourceType, resourceId, {
+  limit = 20,
+  cursor = null,
+  count = null,
+  workspaceId = null
+} = {}) {
   try {
-    const { data, error } = await supabase
-      .from('audit_logs')
-      .select('*')
-      .eq('resource', resourceType)
-      .eq('resource_id', resourceId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-    return data;
+    return await listAuditLogs({ resource: resourceType, resourceId, workspaceId }, { limit, cursor, count });
 
   } catch (error) {
     logger.error('Fehler beim Abrufen der Ressourcen-Audit-Logs', { meta: { error: error.message } });
@@ -208,9 +245,49 @@ export async function getResourceAuditLogs(resourceType, resourceId, limit = 20)
   }
 }
 
+/**
+ * Audit-Logs mit beliebigen Filtern abrufen (GET /api/audit)
+ * @param {Object} criteria - Filter (siehe utils/auditQuery.js)
+ * @param {string} [criteria.workspaceId] - Nur Einträge dieses Workspaces
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.limit=50] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.count] - 'exact' oder 'estimated' liefert total mit
+ * @returns {Object} { data, next_cursor, prev_cursor, total? }
+ */
+export async function queryAuditLogs(criteria, { limit = 50, cursor = null, count = null } = {}) {
+  try {
+    return await listAuditLogs(criteria, { limit, cursor, count });
+
+  } catch (error) {
+    logger.error('Fehler beim Abfragen der Audit-Logs', { meta: { error: error.message } });
+    throw error;
+  }
+}
+
+/**
+ * Zusammenfassung der User-Aktivität der letzten 7 Tage (View recent_user_activity)
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.workspaceId] - Nur Einträge dieses Workspaces
+ * @param {string} [options.userId] - Nur dieser User
+ * @param {number} [options.limit=100] - Max. Anzahl Gruppen
+ * @returns {Array} [{ user_id, action, resource, action_count, last_action, workspace_id }]
+ */
+export async function getRecentActivity({ workspaceId = null, userId = null, limit = 100 } = {}) {
+  try {
+    return await getRepository().auditLogs.activity({ workspaceId, userId, limit });
+
+  } catch (error) {
+    logger.error('Fehler beim Abrufen der User-Aktivität', { meta: { error: error.message } });
+    throw error;
+  }
+}
+
 export default {
   logAuditTrail,
   auditMiddleware,
   getUserAuditLogs,
-  getResourceAuditLogs
+  getResourceAuditLogs,
+  queryAuditLogs,
+  getRecentActivity
 };
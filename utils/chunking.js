@@ -0,0 +1,77 @@
+/**
+ * Text-Chunking für Embeddings
+ * Lange Texte (z.B. Beschreibungen mit eingefügten Logs) werden in überlappende
+ * Abschnitte geteilt, damit auch das Textende die Suche beeinflusst.
+ * Grenzen liegen nach Möglichkeit auf Leerraum.
+ */
+
+/**
+ * Text in überlappende Chunks teilen
+ * @param {string} text - Text
+ * @param {Object} options - Optionen
+ * @param {number} options.size - Max. Zeichen pro Chunk
+ * @param {number} [options.overlap=0] - Zeichen, die sich benachbarte Chunks teilen (max. size / 2)
+ * @returns {Array<{index: number, start: number, length: number, text: string}>} Chunks mit Offset im Text
+ * @throws {Error} Wenn size keine positive Ganzzahl ist
+ */
+export function splitIntoChunks(text, { size, overlap = 0 }) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Chunk-Größe muss eine positive Ganzzahl sein (erhalten: ${size})`);
+  }
+
+  if (text.length <= size) {
+    return [{ index: 0, start: 0, length: text.length, text }];
+  }
+
+  const maxOverlap = Math.max(0, Math.min(overlap, Math.floor(size / 2)));
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    // Nicht mitten im Wort schneiden (wenn Leerraum in der zweiten Hälfte liegt)
+    if (end < text.length) {
+      const breakAt = lastWhitespace(text, start + Math.ceil(size / 2), end);
+      if (breakAt !== -1) end = breakAt;
+    }
+
+    chunks.push({ index: chunks.length, start, length: end - start, text: text.slice(start, end) });
+
+    if (end >= text.length) break;
+
+    // Nächster Chunk beginnt overlap Zeichen früher, möglichst am Wortanfang
+    // (immer mindestens ein Zeichen weiter, sonst endet die Schleife nie)
+    const overlapStart = end - maxOverlap;
+    const wordStart = firstWhitespace(text, overlapStart, end);
+    start = Math.max(wordStart !== -1 && maxOverlap > 0 ? wordStart + 1 : overlapStart, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Position des letzten Leerzeichens in [from, to] (-1 wenn keins)
+ * @private
+ */
+function lastWhitespace(text, from, to) {
+  for (let i = to; i >= from; i--) {
+    if (/\s/.test(text[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Position des ersten Leerzeichens in [from, to) (-1 wenn keins)
+ * @private
+ */
+function firstWhitespace(text, from, to) {
+  for (let i = from; i < to; i++) {
+    if (/\s/.test(text[i])) return i;
+  }
+  return -1;
+}
+
+export default {
+  splitIntoChunks
+};
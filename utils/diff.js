@@ -0,0 +1,53 @@
+/**
+ * Vorher/Nachher-Vergleich für den Audit-Trail
+ * Liefert Feld-Diffs im Format { feld: { before, after } }
+ */
+
+// Fachliche Felder, die bei Änderungen und Löschungen protokolliert werden
+export const AUDITED_FIELDS = {
+  problem: ['title', 'description', 'tags', 'status', 'workspace_id', 'shared_with', 'deleted_at'],
+  solution: ['problem_id', 'description', 'source', 'is_accepted', 'upvotes', 'downvotes']
+};
+
+/**
+ * Ausgewählte Felder eines Eintrags kopieren
+ * @param {Object|null} row - Problem oder Lösung
+ * @param {Array<string>} fields - Felder
+ * @returns {Object|null} Snapshot (fehlende Felder als null)
+ */
+export function snapshot(row, fields) {
+  if (!row) {
+    return null;
+  }
+
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
+
+/**
+ * Feld-Diff zweier Stände
+ * Arrays und Objekte werden inhaltlich verglichen; after = null steht für gelöscht.
+ * @param {Object|null} before - Vorheriger Stand
+ * @param {Object|null} after - Neuer Stand
+ * @param {Array<string>} fields - Zu vergleichende Felder
+ * @returns {Object} Nur geänderte Felder: { feld: { before, after } }
+ */
+export function diffFields(before, after, fields) {
+  const previous = snapshot(before, fields) || {};
+  const next = snapshot(after, fields) || {};
+
+  return fields.reduce((changes, field) => {
+    const from = previous[field] ?? null;
+    const to = next[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+    return changes;
+  }, {});
+}
+
+export default {
+  AUDITED_FIELDS,
+  snapshot,
+  diffFields
+};
@@ -0,0 +1,76 @@
+/**
+ * Registry der Embedding-Modelle
+ * Das aktive Modell wird über EMBEDDING_MODEL gewählt. Embeddings werden pro
+ * Modell gespeichert (model_name), die Suche vergleicht nur Vektoren desselben
+ * Modells. Nach einem Wechsel: node migrate_embeddings.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_EMBEDDING_MODEL = 'all-MiniLM-L6-v2';
+
+// Aktives Modell (Name aus EMBEDDING_MODELS)
+export const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+
+// Die Spalten embeddings.vector / solution_embeddings.vector sind vector(384):
+// weitere Modelle müssen dieselbe Dimension liefern.
+// queryPrefix / passagePrefix: vom Modell erwartete Präfixe für Suchanfragen bzw. gespeicherte Texte
+export const EMBEDDING_MODELS = {
+  'all-MiniLM-L6-v2': {
+    source: 'Xenova/all-MiniLM-L6-v2',
+    dimensions: 384,
+    maxTokens: 256,
+    multilingual: false,
+    queryPrefix: '',
+    passagePrefix: ''
+  },
+  'paraphrase-multilingual-MiniLM-L12-v2': {
+    source: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+    dimensions: 384,
+    maxTokens: 128,
+    multilingual: true,
+    queryPrefix: '',
+    passagePrefix: ''
+  },
+  'multilingual-e5-small': {
+    source: 'Xenova/multilingual-e5-small',
+    dimensions: 384,
+    maxTokens: 512,
+    multilingual: true,
+    queryPrefix: 'query: ',
+    passagePrefix: 'passage: '
+  }
+};
+
+/**
+ * Prüft, ob ein Modell in der Registry existiert
+ * @param {string} name - Modellname
+ * @returns {boolean}
+ */
+export function isKnownModel(name) {
+  return Object.hasOwn(EMBEDDING_MODELS, name);
+}
+
+/**
+ * Modell aus der Registry abrufen
+ * @param {string} [name] - Modellname (Default: aktives Modell)
+ * @returns {Object} Modell inkl. name
+ * @throws {Error} Bei unbekanntem Modell
+ */
+export function getEmbeddingModel(name = EMBEDDING_MODEL) {
+  if (!isKnownModel(name)) {
+    throw new Error(`Unbekanntes Embedding-Modell: ${name} (verfügbar: ${Object.keys(EMBEDDING_MODELS).join(', ')})`);
+  }
+
+  return { name, ...EMBEDDING_MODELS[name] };
+}
+
+export default {
+  DEFAULT_EMBEDDING_MODEL,
+  EMBEDDING_MODEL,
+  EMBEDDING_MODELS,
+  isKnownModel,
+  getEmbeddingModel
+};
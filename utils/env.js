@@ -0,0 +1,20 @@
+/**
+ * Hilfsfunktionen für Konfiguration aus Umgebungsvariablen
+ */
+
+/**
+ * Zahl aus einer Umgebungsvariable lesen
+ * Anders als `parseFloat(...) || default` bleibt ein explizites 0 erhalten
+ * (z.B. HYBRID_KEYWORD_WEIGHT=0 schaltet die Volltext-Rangliste ab).
+ * @param {string} name - Name der Variable
+ * @param {number} defaultValue - Wert, wenn die Variable fehlt oder keine Zahl ist
+ * @returns {number}
+ */
+export function envNumber(name, defaultValue) {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+export default {
+  envNumber
+};
@@ -0,0 +1,152 @@
+/**
+ * JWT-Verifikation ohne externe Abhängigkeiten (node:crypto)
+ * Unterstützt HS256/384/512 (Shared Secret) sowie RS256/384/512 und
+ * ES256/384 (öffentliche Schlüssel aus einer JWKS-Datei).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const RSA_ALGORITHMS = { RS256: 'sha256', RS384: 'sha384', RS512: 'sha512' };
+const EC_ALGORITHMS = { ES256: 'sha256', ES384: 'sha384' };
+
+// Toleranz für Uhrabweichungen bei exp/nbf (Sekunden)
+const CLOCK_TOLERANCE = 30;
+
+/**
+ * Fehler bei ungültigem Token (wird vom Auth-Middleware zu 401)
+ */
+export class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+/**
+ * JWKS-Datei laden und in KeyObjects umwandeln
+ * @param {string} jwksPath - Pfad zur JWKS-Datei ({ keys: [...] })
+ * @returns {Array<{kid: string, kty: string, key: crypto.KeyObject}>}
+ */
+export function loadJwks(jwksPath) {
+  const jwks = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+
+  return (jwks.keys || []).map(jwk => ({
+    kid: jwk.kid,
+    kty: jwk.kty,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }));
+}
+
+/**
+ * JWT prüfen und Payload zurückgeben
+ * @param {string} token - Compact-serialisiertes JWT
+ * @param {Object} options - Optionen
+ * @param {string} [options.secret] - Secret für HS*
+ * @param {Array} [options.jwks] - Schlüssel aus loadJwks() für RS* / ES*
+ * @param {string} [options.issuer] - Erwarteter iss-Claim (optional)
+ * @param {string} [options.audience] - Erwarteter aud-Claim (optional)
+ * @returns {Object} Payload
+ * @throws {JwtError} Wenn Signatur oder Claims ungültig sind
+ */
+export function verifyJwt(token, { secret = null, jwks = [], issuer = null, audience = null } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Token hat kein gültiges JWT-Format');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+  const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  if (!verifySignature(header, signingInput, signature, { secret, jwks })) {
+    throw new JwtError('Ungültige Token-Signatur');
+  }
+
+  // Zeitliche Gültigkeit
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_TOLERANCE) {
+    throw new JwtError('Token ist abgelaufen');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_TOLERANCE) {
+    throw new JwtError('Token ist noch nicht gültig');
+  }
+
+  // Aussteller und Zielgruppe (falls konfiguriert)
+  if (issuer && payload.iss !== issuer) {
+    throw new JwtError('Token-Aussteller (iss) wird nicht akzeptiert');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new JwtError('Token-Zielgruppe (aud) wird nicht akzeptiert');
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Signatur je nach Algorithmus prüfen ('none' wird nie akzeptiert)
+ * @private
+ */
+function verifySignature(header, signingInput, signature, { secret, jwks }) {
+  const { alg, kid } = header;
+
+  if (HMAC_ALGORITHMS[alg]) {
+    if (!secret) {
+      throw new JwtError(`Algorithmus ${alg} ist nicht konfiguriert (JWT_SECRET fehlt)`);
+    }
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[alg], secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const isRsa = Boolean(RSA_ALGORITHMS[alg]);
+  const isEc = Boolean(EC_ALGORITHMS[alg]);
+  if (!isRsa && !isEc) {
+    throw new JwtError(`Algorithmus ${alg || 'unbekannt'} wird nicht unterstützt`);
+  }
+
+  const candidates = jwks.filter(entry =>
+    entry.kty === (isRsa ? 'RSA' : 'EC') && (!kid || !entry.kid || entry.kid === kid));
+
+  if (candidates.length === 0) {
+    throw new JwtError(`Kein passender Schlüssel für ${alg}${kid ? ` (kid ${kid})` : ''} in JWKS`);
+  }
+
+  const hash = isRsa ? RSA_ALGORITHMS[alg] : EC_ALGORITHMS[alg];
+  return candidates.some(({ key }) => crypto.verify(
+    hash,
+    signingInput,
+    isEc ? { key, dsaEncoding: 'ieee-p1363' } : key,
+    signature
+  ));
+}
+
+/**
+ * Base64url-JSON-Segment dekodieren (Header und Payload müssen JSON-Objekte sein)
+ * @private
+ */
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new JwtError('Token ist nicht dekodierbar');
+  }
+
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new JwtError('Token-Segment ist kein JSON-Objekt');
+  }
+
+  return value;
+}
+
+export default {
+  JwtError,
+  loadJwks,
+  verifyJwt
+};
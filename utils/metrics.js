@@ -34,6 +34,16 @@ const metrics = {
     by5xx: 0,
     byType: {}
   },
+  rateLimit: {
+    throttled: 0,
+    byBucket: {}
+  },
+  embeddingCache: {
+    hits: 0,
+    misses: 0,
+    entries: 0,
+    bytes: 0
+  },
   startTime: Date.now()
 };
 
@@ -117,6 +127,33 @@ export function recordError(errorType) {
   metrics.errors.byType[errorType] = (metrics.errors.byType[errorType] || 0) + 1;
 }
 
+/**
+ * Durch Rate-Limit abgewiesenen Request erfassen
+ */
+export function recordThrottle(bucket) {
+  metrics.rateLimit.throttled++;
+  metrics.rateLimit.byBucket[bucket] = (metrics.rateLimit.byBucket[bucket] || 0) + 1;
+}
+
+/**
+ * Lookup im Query-Embedding-Cache erfassen
+ */
+export function recordEmbeddingCacheLookup(hit) {
+  if (hit) {
+    metrics.embeddingCache.hits++;
+  } else {
+    metrics.embeddingCache.misses++;
+  }
+}
+
+/**
+ * Aktuelle Größe des Query-Embedding-Caches erfassen
+ */
+export function recordEmbeddingCacheSize(entries, bytes) {
+  metrics.embeddingCache.entries = entries;
+  metrics.embeddingCache.bytes = bytes;
+}
+
 /**
  * Alle Metriken abrufen
  */
@@ -154,6 +191,15 @@ export function getMetrics() {
       generated: metrics.embeddings.generated,
       avgGenerationTime: metrics.embeddings.avgTime
     },
+    embeddingCache: {
+      hits: metrics.embeddingCache.hits,
+      misses: metrics.embeddingCache.misses,
+      hitRate: metrics.embeddingCache.hits + metrics.embeddingCache.misses > 0
+        ? ((metrics.embeddingCache.hits / (metrics.embeddingCache.hits + metrics.embeddingCache.misses)) * 100).toFixed(2) + '%'
+        : 'N/A',
+      entries: metrics.embeddingCache.entries,
+      bytes: metrics.embeddingCache.bytes
+    },
     searches: {
       total: metrics.searches.total,
       avgResults: metrics.searches.avgResultCount,
@@ -171,6 +217,10 @@ export function getMetrics() {
         .slice(0, 5)
         .reduce((obj, [key, val]) => ({ ...obj, [key]: val }), {})
     },
+    rateLimit: {
+      throttled: metrics.rateLimit.throttled,
+      byBucket: metrics.rateLimit.byBucket
+    },
     memory: process.memoryUsage(),
     timestamp: new Date().toISOString()
   };
@@ -209,10 +259,30 @@ embeddings_generated_total ${m.embeddings.generated}
 # TYPE embeddings_generation_time_ms gauge
 embeddings_generation_time_ms ${m.embeddings.avgGenerationTime}
 
+# HELP embedding_cache_hits_total Total number of query embeddings served from cache
+# TYPE embedding_cache_hits_total counter
+embedding_cache_hits_total ${m.embeddingCache.hits}
+
+# HELP embedding_cache_misses_total Total number of query embeddings computed on cache miss
+# TYPE embedding_cache_misses_total counter
+embedding_cache_misses_total ${m.embeddingCache.misses}
+
+# HELP embedding_cache_entries Number of entries in the query embedding cache
+# TYPE embedding_cache_entries gauge
+embedding_cache_entries ${m.embeddingCache.entries}
+
+# HELP embedding_cache_bytes Estimated memory used by the query embedding cache in bytes
+# TYPE embedding_cache_bytes gauge
+embedding_cache_bytes ${m.embeddingCache.bytes}
+
 # HELP searches_total Total number of searches performed
 # TYPE searches_total counter
 searches_total ${m.searches.total}
 
+# HELP http_requests_throttled_total Total number of requests rejected by rate limiting
+# TYPE http_requests_throttled_total counter
+${Object.entries(m.rateLimit.byBucket).map(([bucket, count]) => `http_requests_throttled_total{bucket="${bucket}"} ${count}`).join('\n') || 'http_requests_throttled_total 0'}
+
 # HELP process_uptime_seconds Process uptime in seconds
 # TYPE process_uptime_seconds counter
 process_uptime_seconds ${Math.floor(m.uptime.ms / 1000)}
@@ -250,6 +320,10 @@ export function resetMetrics() {
   metrics.errors.by4xx = 0;
   metrics.errors.by5xx = 0;
   metrics.errors.byType = {};
+  metrics.rateLimit.throttled = 0;
+  metrics.rateLimit.byBucket = {};
+  metrics.embeddingCache.hits = 0;
+  metrics.embeddingCache.misses = 0;
   metrics.startTime = Date.now();
 }
 
@@ -258,6 +332,9 @@ export default {
   recordEmbedding,
   recordSearch,
   recordError,
+  recordThrottle,
+  recordEmbeddingCacheLookup,
+  recordEmbeddingCacheSize,
   getMetrics,
   getPrometheusMetrics,
   resetMetrics
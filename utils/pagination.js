@@ -0,0 +1,112 @@
+/**
+ * Cursor-Pagination (Keyset) für Listen-Endpunkte
+ * Ein Cursor kodiert Sortierwert und ID des Randeintrags einer Seite
+ * (base64url-JSON, für Clients opak). Neue Einträge verschieben so keine Seiten.
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+export const COUNT_MODES = ['exact', 'estimated'];
+
+/**
+ * Cursor erzeugen
+ * @param {Object} cursor - Cursor-Daten
+ * @param {string} cursor.sort - Sortierfeld
+ * @param {string} cursor.order - 'asc' oder 'desc'
+ * @param {*} cursor.value - Sortierwert des Randeintrags
+ * @param {string} cursor.id - ID des Randeintrags
+ * @param {string} cursor.direction - 'next' oder 'prev'
+ * @returns {string} Opaker Cursor
+ */
+export function encodeCursor({ sort, order, value, id, direction }) {
+  const payload = JSON.stringify({ s: sort, o: order, v: value, id, d: direction });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Cursor lesen und gegen die aktuelle Sortierung prüfen
+ * @param {string} cursor - Opaker Cursor
+ * @param {Object} expected - Aktuelle Sortierung
+ * @param {string} expected.sort - Sortierfeld
+ * @param {string} expected.order - 'asc' oder 'desc'
+ * @returns {Object} { value, id, direction }
+ */
+export function decodeCursor(cursor, { sort, order }) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Validierungsfehler: Ungültiger Cursor');
+  }
+
+  if (!payload || !payload.id || !['next', 'prev'].includes(payload.d)) {
+    throw new Error('Validierungsfehler: Ungültiger Cursor');
+  }
+
+  if (payload.s !== sort || payload.o !== order) {
+    throw new Error(`Validierungsfehler: Cursor gehört zu einer anderen Sortierung (${payload.s} ${payload.o})`);
+  }
+
+  return { value: payload.v, id: payload.id, direction: payload.d };
+}
+
+/**
+ * Eine Seite per Keyset laden
+ * fetchRows({ limit, order, after }) muss Einträge strikt nach `after`
+ * (Sortierwert, ID) in der angegebenen Reihenfolge liefern.
+ * @param {Function} fetchRows - Lädt Einträge aus dem Repository
+ * @param {Object} options - Optionen
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Seitengröße
+ * @param {string} [options.cursor] - Cursor aus next_cursor / prev_cursor
+ * @param {string} [options.sort='created_at'] - Sortierfeld
+ * @param {string} [options.order='desc'] - 'asc' oder 'desc'
+ * @returns {Promise<Object>} { data, next_cursor, prev_cursor }
+ */
+export async function paginate(fetchRows, {
+  limit = DEFAULT_PAGE_SIZE,
+  cursor = null,
+  sort = 'created_at',
+  order = 'desc'
+} = {}) {
+  const position = cursor ? decodeCursor(cursor, { sort, order }) : null;
+  const backwards = position?.direction === 'prev';
+
+  // Rückwärts blättern = in umgekehrter Reihenfolge ab dem Cursor laden
+  const fetchOrder = backwards ? (order === 'asc' ? 'desc' : 'asc') : order;
+
+  // Ein Eintrag mehr, um zu erkennen, ob es weitere Seiten gibt
+  const rows = await fetchRows({
+    limit: limit + 1,
+    order: fetchOrder,
+    after: position ? { value: position.value, id: position.id } : null
+  });
+
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const cursorFor = (row, direction) => row && encodeCursor({
+    sort,
+    order,
+    value: row[sort],
+    id: row.id,
+    direction
+  });
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    next_cursor: (backwards || hasMore) ? cursorFor(last, 'next') || null : null,
+    prev_cursor: position && (!backwards || hasMore) ? cursorFor(first, 'prev') || null : null
+  };
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  COUNT_MODES,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,86 @@
+/**
+ * Filter und Sortierung für GET /api/problems
+ * Übersetzt Query-Parameter in die Optionen von problems.list
+ */
+
+import { parseStatusFilter } from './problemStatus.js';
+import { normalizeTags } from './tags.js';
+
+export const PROBLEM_SORT_FIELDS = ['created_at', 'updated_at', 'title', 'status', 'solution_count'];
+
+export const TAG_MODES = ['any', 'all'];
+
+// Datum ohne Uhrzeit (z.B. createdTo=2024-05-31)
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Prüft, ob ein Wert als Datum/Zeitstempel lesbar ist
+ * @param {string} value - ISO-Datum oder -Zeitstempel
+ * @returns {boolean}
+ */
+export function isValidDate(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+/**
+ * Datumsgrenze in ISO-Zeitstempel umwandeln
+ * Reine Datumsangaben als Obergrenze schließen den ganzen Tag ein.
+ * @param {string} [value] - ISO-Datum oder -Zeitstempel
+ * @param {boolean} [endOfDay=false] - Obergrenze?
+ * @returns {string|null}
+ */
+export function parseDateBound(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  if (endOfDay && DATE_ONLY.test(value)) {
+    return new Date(`${value}T23:59:59.999Z`).toISOString();
+  }
+
+  return new Date(value).toISOString();
+}
+
+/**
+ * Boolean aus Query-String ('true' / 'false')
+ * @param {string} [value] - Wert
+ * @returns {boolean|null} null = nicht gesetzt
+ */
+export function parseBooleanParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  return value === true || value === 'true';
+}
+
+/**
+ * Query-Parameter (bereits validiert) in Filter und Sortierung übersetzen
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, sort, order }
+ */
+export function parseProblemListQuery(query) {
+  return {
+    filters: {
+      status: parseStatusFilter(query.status),
+      tags: query.tags !== undefined ? normalizeTags(query.tags) : null,
+      tagMode: query.tagMode || 'any',
+      createdFrom: parseDateBound(query.createdFrom),
+      createdTo: parseDateBound(query.createdTo, true),
+      updatedFrom: parseDateBound(query.updatedFrom),
+      updatedTo: parseDateBound(query.updatedTo, true),
+      q: query.q ? query.q.trim() : null,
+      hasSolutions: parseBooleanParam(query.hasSolutions)
+    },
+    sort: query.sort || 'created_at',
+    order: query.order || 'desc'
+  };
+}
+
+export default {
+  PROBLEM_SORT_FIELDS,
+  TAG_MODES,
+  isValidDate,
+  parseDateBound,
+  parseBooleanParam,
+  parseProblemListQuery
+};
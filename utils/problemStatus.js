@@ -0,0 +1,69 @@
+/**
+ * Status-Workflow für Probleme
+ * Erlaubte Status und Übergänge (State Machine)
+ */
+
+export const PROBLEM_STATUSES = ['open', 'in_progress', 'resolved', 'closed', 'wont_fix'];
+
+export const DEFAULT_PROBLEM_STATUS = 'open';
+
+// Erlaubte Übergänge: von → [nach]
+const TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'closed', 'wont_fix'],
+  in_progress: ['open', 'resolved', 'wont_fix'],
+  resolved: ['open', 'closed'],     // open = wiedereröffnen
+  closed: ['open'],
+  wont_fix: ['open']
+};
+
+/**
+ * Prüft, ob ein Status gültig ist
+ * @param {string} status - Status
+ * @returns {boolean}
+ */
+export function isValidStatus(status) {
+  return PROBLEM_STATUSES.includes(status);
+}
+
+/**
+ * Prüft, ob ein Übergang erlaubt ist
+ * @param {string} from - Aktueller Status
+ * @param {string} to - Ziel-Status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Erlaubte Ziel-Status für einen Status
+ * @param {string} from - Aktueller Status
+ * @returns {Array<string>}
+ */
+export function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+/**
+ * Status-Filter aus Query-String oder Body normalisieren
+ * Akzeptiert 'open,in_progress' oder ['open', 'in_progress']
+ * @param {string|Array<string>} [value] - Filterwert
+ * @returns {Array<string>|null} Status-Liste oder null (kein Filter)
+ */
+export function parseStatusFilter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+export default {
+  PROBLEM_STATUSES,
+  DEFAULT_PROBLEM_STATUS,
+  isValidStatus,
+  canTransition,
+  allowedTransitions,
+  parseStatusFilter
+};
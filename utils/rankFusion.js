@@ -0,0 +1,55 @@
+/**
+ * Reciprocal Rank Fusion (RRF) für die Hybrid-Suche
+ * Führt die Vektor- und die Volltext-Rangliste zusammen:
+ * score = w_semantic / (k + rang_semantic) + w_keyword / (k + rang_keyword)
+ */
+
+/**
+ * Zwei Ranglisten per Reciprocal Rank Fusion zusammenführen
+ * @param {Array<Object>} semanticMatches - Vektor-Treffer, beste zuerst (problem_id, similarity, chunk_*)
+ * @param {Array<Object>} keywordMatches - Volltext-Treffer, beste zuerst (problem_id, rank)
+ * @param {Object} options - Optionen
+ * @param {number} options.semanticWeight - Gewicht der Vektor-Rangliste (0 = ignorieren)
+ * @param {number} options.keywordWeight - Gewicht der Volltext-Rangliste (0 = ignorieren)
+ * @param {number} options.k - RRF-Konstante (dämpft den Vorsprung der vordersten Ränge)
+ * @returns {Array<{problem_id: string, semantic: ?number, keyword: ?number, fused: number, chunk: ?Object}>}
+ *   Fusionierte Treffer, höchster Score zuerst
+ */
+export function reciprocalRankFusion(semanticMatches, keywordMatches, { semanticWeight, keywordWeight, k }) {
+  const fused = new Map();
+  const entry = (problemId) => {
+    if (!fused.has(problemId)) {
+      fused.set(problemId, { problem_id: problemId, semantic: null, keyword: null, fused: 0, chunk: null });
+    }
+    return fused.get(problemId);
+  };
+
+  semanticMatches.forEach((match, index) => {
+    const item = entry(match.problem_id);
+    item.semantic = match.similarity;
+    item.chunk = match;
+    item.fused += semanticWeight / (k + index + 1);
+  });
+
+  keywordMatches.forEach((match, index) => {
+    const item = entry(match.problem_id);
+    item.keyword = match.rank;
+    item.fused += keywordWeight / (k + index + 1);
+  });
+
+  return [...fused.values()].sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Maximal möglicher Fusions-Score (Rang 1 in beiden Listen), Basis für relevance_score
+ * @param {Object} options - semanticWeight, keywordWeight, k
+ * @returns {number}
+ */
+export function maxFusedScore({ semanticWeight, keywordWeight, k }) {
+  return (semanticWeight + keywordWeight) / (k + 1);
+}
+
+export default {
+  reciprocalRankFusion,
+  maxFusedScore
+};
@@ -0,0 +1,33 @@
+/**
+ * Rollen und Berechtigungsstufen
+ * Jede Rolle schließt die Rechte der vorherigen ein.
+ */
+
+// Aufsteigend nach Berechtigung
+export const ROLES = ['viewer', 'contributor', 'editor', 'admin'];
+
+/**
+ * Prüft, ob eine Rolle gültig ist
+ * @param {string} role - Rolle
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Prüft, ob eine Rolle mindestens die geforderte Stufe hat
+ * Unbekannte Rollen haben keine Rechte.
+ * @param {string} role - Rolle des Users
+ * @param {string} required - Mindestens erforderliche Rolle
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export default {
+  ROLES,
+  isValidRole,
+  hasRole
+};
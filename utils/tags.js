@@ -0,0 +1,40 @@
+/**
+ * Tag-Normalisierung
+ * Tags werden klein geschrieben, getrimmt und dedupliziert gespeichert,
+ * damit 'Docker', 'docker' und 'docker ' derselbe Tag sind.
+ */
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Einzelnen Tag normalisieren
+ * @param {string} tag - Tag
+ * @returns {string} Normalisierter Tag (leer, wenn nichts übrig bleibt)
+ */
+export function normalizeTag(tag) {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Tag-Liste normalisieren
+ * Akzeptiert ein Array oder einen kommagetrennten String ('Docker, nginx')
+ * @param {Array<string>|string|null} [tags] - Tags
+ * @returns {Array<string>} Normalisierte Tags ohne Duplikate (Reihenfolge bleibt erhalten)
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+export default {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags
+};
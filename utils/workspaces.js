@@ -0,0 +1,62 @@
+/**
+ * Workspaces (Mandanten)
+ * Jedes Problem gehört genau einem Workspace; über shared_with kann es
+ * anderen Workspaces lesend freigegeben werden.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Workspace für Bestandsdaten und Requests ohne Workspace-Angabe
+export const DEFAULT_WORKSPACE = process.env.DEFAULT_WORKSPACE || 'default';
+
+// Slug: Kleinbuchstaben, Ziffern, '-' und '_', max. 64 Zeichen (Vergleiche sind exakt,
+// Groß-/Kleinschreibung würde einen Workspace sonst aufspalten)
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Prüft, ob eine Workspace-ID gültig ist
+ * @param {string} workspaceId - Workspace-ID
+ * @returns {boolean}
+ */
+export function isValidWorkspaceId(workspaceId) {
+  return typeof workspaceId === 'string' && WORKSPACE_ID_PATTERN.test(workspaceId);
+}
+
+/**
+ * Workspace eines Eintrags (Bestandsdaten ohne Spalte → DEFAULT_WORKSPACE)
+ * @param {Object} row - Problem, Lösung oder Embedding
+ * @returns {string}
+ */
+export function workspaceOf(row) {
+  return row.workspace_id || DEFAULT_WORKSPACE;
+}
+
+/**
+ * Gehört der Eintrag dem Workspace? (Schreibzugriff)
+ * @param {Object} row - Problem oder Lösung
+ * @param {string} workspaceId - Workspace
+ * @returns {boolean}
+ */
+export function isOwnedBy(row, workspaceId) {
+  return workspaceOf(row) === workspaceId;
+}
+
+/**
+ * Ist das Problem im Workspace sichtbar? (eigen oder freigegeben)
+ * @param {Object} problem - Problem
+ * @param {string} workspaceId - Workspace
+ * @returns {boolean}
+ */
+export function isVisibleIn(problem, workspaceId) {
+  return isOwnedBy(problem, workspaceId) || (problem.shared_with || []).includes(workspaceId);
+}
+
+export default {
+  DEFAULT_WORKSPACE,
+  isValidWorkspaceId,
+  workspaceOf,
+  isOwnedBy,
+  isVisibleIn
+};